@@ -2,25 +2,269 @@
 
 const DEFAULT_FOCUS_MINUTES = 25;
 const DEFAULT_BREAK_MINUTES = 5;
+const DEFAULT_LONG_BREAK_MINUTES = 15;
+const DEFAULT_LONG_BREAK_INTERVAL = 4;
+const MAX_LONG_BREAK_INTERVAL = 12;
+// A duration change queued during focus may cut the next focus block by at most this share.
+const MAX_QUEUED_FOCUS_CUT = 0.5;
 
 const STORAGE_KEY = "xUnderclassPomodoroState";
 const SHORTCUTS_KEY = "xUnderclassShortcuts";
+const SITES_KEY = "xUnderclassBlockedSites";
+const HISTORY_KEY = "xUnderclassHistory";
+const SETTINGS_KEY = "xUnderclassSettings";
+const SYNC_KEY = "xUnderclassSync";
+const EVENTS_KEY = "xUnderclassEvents";
+const PAUSE_USAGE_KEY = "xUnderclassPauseUsage";
+const BREAK_USAGE_KEY = "xUnderclassBreakUsage";
+const IDLE_USAGE_KEY = "xUnderclassIdleUsage";
+const TASKS_KEY = "xUnderclassTasks";
+const CHALLENGE_KEY = "xUnderclassChallenge";
+const REDIRECTS_KEY = "xUnderclassRedirects";
+const MIGRATIONS_KEY = "xUnderclassMigrations";
 const ALARM_NAME = "pomodoroTransition";
+const SCHEDULE_ALARM_NAME = "scheduleBoundary";
+const BADGE_ALARM_NAME = "badgeTick";
+const CONTENT_SCRIPT_ID = "x-underclass-blocker";
+// The overlay runs on the timer helpers the extension pages share.
+const CONTENT_SCRIPT_FILES = ["timer-shared.js", "content-script.js"];
+
+const DEFAULT_BLOCKED_SITES = ["x.com", "twitter.com"];
+// Hosts the X page rules apply to.
+const X_HOSTS = ["x.com", "twitter.com"];
+const FOCUS_PAGE = "focus.html";
+const MAX_HISTORY_ENTRIES = 5000;
+const MAX_EVENT_ENTRIES = 1000;
+const BACKUP_FORMAT = "x-underclass-preventer";
+const BACKUP_VERSION = 1;
+
+// Sections mirrored to chrome.storage.sync; "session" is only shared when opted in.
+const SYNC_SECTIONS = ["durations", "settings", "blockedSites", "shortcuts"];
+const SYNC_SESSION_SECTION = "session";
+const SYNC_ITEM_PREFIX = "xUnderclass:";
+const SYNC_ITEM_BYTES = chrome.storage.sync.QUOTA_BYTES_PER_ITEM ?? 8192;
+const ACTION_TITLE = "X Underclass Preventer";
+
+const NOTIFICATION_IDS = {
+  focusEnd: "x-underclass-focus-end",
+  breakEnd: "x-underclass-break-end",
+  breakStart: "x-underclass-break-start",
+  focusReady: "x-underclass-focus-ready",
+  sessionEnd: "x-underclass-session-end",
+  schedule: "x-underclass-schedule"
+};
+
+const COMMITMENT_METHODS = ["wait", "phrase", "both"];
+const ESCAPE_ACTIONS = ["pause", "stop", "end"];
+const TAMPER_KINDS = ["removed", "hidden", "restyled"];
+// Repeats of the same tampering on one site within this window are logged once.
+const TAMPER_REPEAT_MS = 2000;
+const ROUTE_ACTIONS = ["block", "allow"];
+const SCROLL_UNITS = ["viewports", "posts"];
+const INTENSITY_MODES = { focus: ["overlay", "degrade", "redirect"], break: ["off", "degrade"] };
+const REDIRECT_ORDERS = ["rotate", "random"];
+const MAX_REDIRECT_URLS = 20;
+const MAX_ROUTE_RULES = 100;
+const MAX_PRESETS = 12;
+const MAX_PRESET_NAME_LENGTH = 40;
+const MAX_INTENTION_LENGTH = 120;
+const MAX_REFLECTION_NOTES_LENGTH = 500;
+const MAX_TASKS = 100;
+const MAX_TASK_TITLE_LENGTH = 120;
+const MIN_COMMITMENT_WAIT_SECONDS = 5;
+const MAX_COMMITMENT_WAIT_SECONDS = 600;
+// How long a finished countdown stays valid before the user has to start over.
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+const BADGE_COLORS = {
+  focus: "#f4212e",
+  break: "#00ba7c",
+  paused: "#8b98a5",
+  break_ready: "#1da1f2",
+  focus_ready: "#1da1f2"
+};
 
 const DEFAULT_STATE = {
-  status: "idle", // idle | running | paused | break_ready
+  status: "idle", // idle | running | paused | break_ready | focus_ready
   phase: "focus", // focus | break
   focusMinutes: DEFAULT_FOCUS_MINUTES,
   breakMinutes: DEFAULT_BREAK_MINUTES,
+  longBreakMinutes: DEFAULT_LONG_BREAK_MINUTES,
+  longBreakInterval: DEFAULT_LONG_BREAK_INTERVAL, // focus cycles per long break
+  cycle: 1, // 1-based focus cycle within the current session
   cycleStart: null,
   nextTransition: null,
-  remainingMs: null
+  remainingMs: null,
+  sessionId: null,
+  segmentStart: null, // when the current uninterrupted running stretch began
+  scheduledUntil: null, // end of the schedule window that started this session
+  scheduleSuppressedUntil: null, // window the user stopped early; don't restart it
+  pendingDurations: null, // edits made during focus, applied when the next focus starts
+  pausedAt: null, // start of a pause charged to the daily pause budget
+  pauseDeadline: null, // when the pause budget runs out and the session resumes by itself
+  focusMode: "fixed", // fixed | flowtime, chosen when the session starts
+  elapsedMs: null, // focus time banked by a paused flowtime block
+  earnedBreakMs: null, // break length earned by the last flowtime block
+  intention: null, // what the user means to work on, typed when focus starts
+  reflectedCycle: null, // focus cycle whose end-of-focus reflection has been saved
+  taskId: null // task the focus blocks of this session count toward
+};
+
+const DEFAULT_SETTINGS = {
+  dailyReset: "00:00", // local time when daily budgets start over
+  // Named duration sets switched from the overlay. The auto-start flags are optional:
+  // null leaves the flow settings as they are. A default preset, once the user picks one, is
+  // loaded when Chrome starts.
+  presets: {
+    defaultId: null,
+    items: [
+      {
+        id: "classic",
+        name: "Classic 25/5",
+        focusMinutes: 25,
+        breakMinutes: 5,
+        longBreakMinutes: 15,
+        longBreakInterval: 4,
+        autoStartBreak: null,
+        autoStartFocus: null
+      },
+      {
+        id: "deep",
+        name: "Deep 50/10",
+        focusMinutes: 50,
+        breakMinutes: 10,
+        longBreakMinutes: 30,
+        longBreakInterval: 3,
+        autoStartBreak: null,
+        autoStartFocus: null
+      },
+      {
+        id: "sprint",
+        name: "Sprint 15/3",
+        focusMinutes: 15,
+        breakMinutes: 3,
+        longBreakMinutes: 10,
+        longBreakInterval: 4,
+        autoStartBreak: true,
+        autoStartFocus: true
+      }
+    ]
+  },
+  schedule: {
+    enabled: false,
+    windows: [] // { id, days: [0-6, Sunday first], start: "HH:MM", end: "HH:MM" }
+  },
+  notifications: {
+    focusEnd: true,
+    breakEnd: true,
+    schedule: true
+  },
+  // Which X pages the overlay covers. The longest matching path prefix wins.
+  routes: {
+    enabled: true,
+    unmatched: "block",
+    rules: [
+      { path: "/home", action: "block" },
+      { path: "/explore", action: "block" },
+      { path: "/notifications", action: "block" },
+      { path: "/i/trending", action: "block" },
+      { path: "/messages", action: "allow" },
+      { path: "/compose/post", action: "allow" }
+    ]
+  },
+  // How hard blocked sites are blocked in each phase. "degrade" keeps the page usable but
+  // applies the chosen effects instead of the full-screen overlay; "redirect" sends the tab
+  // to one of the `redirect` pages.
+  intensity: {
+    focus: { mode: "overlay", grayscale: true, hideMedia: true, hideMetrics: true, hideFeed: true },
+    break: { mode: "off", grayscale: false, hideMedia: false, hideMetrics: true, hideFeed: false }
+  },
+  redirect: {
+    urls: [],
+    order: "rotate"
+  },
+  flow: {
+    autoStartBreak: false,
+    autoStartFocus: true,
+    stopAfterCycles: 0 // 0 = keep cycling until stopped
+  },
+  // Focus counts up until ended; the break is the focused time divided by `breakRatio`.
+  flowtime: {
+    enabled: false,
+    breakRatio: 5,
+    minBreakMinutes: 2,
+    maxBreakMinutes: 30
+  },
+  pauseBudget: {
+    enabled: false,
+    maxPauses: 3,
+    maxMinutes: 15
+  },
+  // Limits on X during breaks: scrolling per break and time per day. 0 = no limit.
+  breakBudget: {
+    enabled: false,
+    unit: "viewports", // viewports | posts
+    scrollLimit: 40,
+    dailyMinutes: 30
+  },
+  // Active time on X per day while no session is running.
+  idleAllowance: {
+    enabled: false,
+    dailyMinutes: 30
+  },
+  commitment: {
+    enabled: false,
+    method: "wait", // wait | phrase | both
+    waitSeconds: 30,
+    phrase: "I am choosing distraction over my goals"
+  },
+  // Per-device; never written to chrome.storage.sync itself.
+  sync: {
+    enabled: false,
+    session: false
+  }
 };
 
+// Alarm and startup handlers race when Chrome restarts with an overdue alarm;
+// serialize them so an expired phase is never replayed (and recorded) twice.
+let exclusiveQueue = Promise.resolve();
+
+// Sync pushes and pulls run in their own queue because applying a pulled section
+// goes through saveSettings, which itself waits on the exclusive queue.
+let syncQueue = Promise.resolve();
+
+// What each pulled section looked like locally once applied. Sanitizing or the focus lock can
+// leave it different from the remote copy; echoing that back would overwrite the other device.
+const pulledSections = new Map();
+
+// Rebuilds of the network rules replace every dynamic rule, so they must not overlap.
+let focusRulesQueue = Promise.resolve();
+
+// Redirected tabs are a read-modify-write of session storage.
+let redirectQueue = Promise.resolve();
+
+// Task edits and pomodoro credits both rewrite the task list.
+let tasksQueue = Promise.resolve();
+
+// Recorded segments, reflections, imports and clearing all rewrite the whole history.
+let historyQueue = Promise.resolve();
+
+chrome.runtime.onInstalled.addListener(migrateStoredData);
 chrome.runtime.onStartup.addListener(initializeState);
 chrome.runtime.onInstalled.addListener(initializeState);
+chrome.runtime.onStartup.addListener(syncBlockedSiteScripts);
+chrome.runtime.onInstalled.addListener(syncBlockedSiteScripts);
+chrome.runtime.onStartup.addListener(handleScheduleChange);
+chrome.runtime.onInstalled.addListener(handleScheduleChange);
+chrome.runtime.onStartup.addListener(applyDefaultPreset);
+chrome.permissions.onAdded.addListener(handleSiteAccessGranted);
 chrome.alarms.onAlarm.addListener(handleAlarm);
-chrome.action.onClicked.addListener(handleActionClick);
+chrome.commands.onCommand.addListener(handleCommand);
+chrome.storage.onChanged.addListener(handleStorageChange);
+chrome.notifications.onButtonClicked.addListener(handleNotificationButton);
+chrome.notifications.onClicked.addListener(notificationId => {
+  chrome.notifications.clear(notificationId);
+});
 
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (!request?.type) return false;
@@ -32,12 +276,17 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         .catch(() => sendResponse({ state: { ...DEFAULT_STATE } }));
       return true;
     case "SET_DURATIONS":
-      setDurations(request.focusMinutes, request.breakMinutes)
+      setDurations(pickDurations(request))
         .then(state => sendResponse({ state }))
         .catch(() => sendResponse({ state: null }));
       return true;
+    case "APPLY_PRESET":
+      applyPreset(request.presetId)
+        .then(state => sendResponse({ state }))
+        .catch(error => sendResponse({ state: null, error: error.message }));
+      return true;
     case "START_SESSION":
-      startSession(request.focusMinutes, request.breakMinutes)
+      startSession(pickDurations(request), { intention: request.intention, taskId: request.taskId })
         .then(state => sendResponse({ state }))
         .catch(() => sendResponse({ state: null }));
       return true;
@@ -46,10 +295,20 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         .then(state => sendResponse({ state }))
         .catch(() => sendResponse({ state: null }));
       return true;
+    case "END_FOCUS":
+      endFocus(pickEscapeProof(request))
+        .then(state => sendResponse({ state }))
+        .catch(error => sendResponse({ state: null, error: error.message }));
+      return true;
+    case "SAVE_REFLECTION":
+      saveReflection(request.reflection)
+        .then(state => sendResponse({ state }))
+        .catch(error => sendResponse({ state: null, error: error.message }));
+      return true;
     case "PAUSE_SESSION":
-      pauseSession()
+      pauseSession(pickEscapeProof(request))
         .then(state => sendResponse({ state }))
-        .catch(() => sendResponse({ state: null }));
+        .catch(error => sendResponse({ state: null, error: error.message }));
       return true;
     case "RESUME_SESSION":
       resumeSession()
@@ -57,9 +316,50 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         .catch(() => sendResponse({ state: null }));
       return true;
     case "STOP_SESSION":
-      stopSession()
+      stopSession(pickEscapeProof(request))
         .then(state => sendResponse({ state }))
-        .catch(() => sendResponse({ state: null }));
+        .catch(error => sendResponse({ state: null, error: error.message }));
+      return true;
+    case "REQUEST_ESCAPE":
+      requestEscape(request.action)
+        .then(challenge => sendResponse({ challenge }))
+        .catch(error => sendResponse({ challenge: null, error: error.message }));
+      return true;
+    case "GET_BREAK_BUDGET":
+      ensureState()
+        .then(state => getBreakBudget(Date.now(), state))
+        .then(budget => sendResponse({ budget: describeBreakBudget(budget) }))
+        .catch(() => sendResponse({ budget: null }));
+      return true;
+    case "GET_IDLE_ALLOWANCE":
+      getIdleAllowance(Date.now())
+        .then(allowance => sendResponse({ allowance: describeIdleAllowance(allowance) }))
+        .catch(() => sendResponse({ allowance: null }));
+      return true;
+    case "REPORT_USAGE":
+      runExclusive(() => recordUsage(request))
+        .then(limits => sendResponse(limits))
+        .catch(() => sendResponse({ breakBudget: null, allowance: null }));
+      return true;
+    case "REPORT_TAMPER":
+      runExclusive(() => recordTamper(request.kind, sender))
+        .then(recorded => sendResponse({ recorded }))
+        .catch(() => sendResponse({ recorded: false }));
+      return true;
+    case "GET_PAUSE_BUDGET":
+      getPauseBudget(Date.now())
+        .then(budget => sendResponse({ budget: describePauseBudget(budget) }))
+        .catch(() => sendResponse({ budget: null }));
+      return true;
+    case "CANCEL_ESCAPE":
+      cancelEscape(request.challengeId)
+        .then(() => sendResponse({ cancelled: true }))
+        .catch(() => sendResponse({ cancelled: false }));
+      return true;
+    case "GET_EVENTS":
+      getEvents()
+        .then(events => sendResponse({ events }))
+        .catch(() => sendResponse({ events: [] }));
       return true;
     case "GET_SHORTCUTS":
       getShortcuts()
@@ -71,16 +371,109 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         .then(shortcuts => sendResponse({ shortcuts }))
         .catch(() => sendResponse({ shortcuts: [] }));
       return true;
+    case "GET_TASKS":
+      getTasks()
+        .then(tasks => sendResponse({ tasks }))
+        .catch(() => sendResponse({ tasks: [] }));
+      return true;
+    case "SAVE_TASKS":
+      saveTasks(request.tasks)
+        .then(tasks => sendResponse({ tasks }))
+        .catch(() => sendResponse({ tasks: null }));
+      return true;
+    case "GET_BLOCKED_SITES":
+      getBlockedSites()
+        .then(async sites => sendResponse({ sites, needsAccess: await sitesWithoutAccess(sites) }))
+        .catch(() => sendResponse({ sites: [...DEFAULT_BLOCKED_SITES] }));
+      return true;
+    case "SAVE_BLOCKED_SITES":
+      saveBlockedSites(request.sites)
+        .then(async sites => sendResponse({ sites, needsAccess: await sitesWithoutAccess(sites) }))
+        .catch(() => sendResponse({ sites: [] }));
+      return true;
+    case "GET_HISTORY":
+      getHistory()
+        .then(history => sendResponse({ history }))
+        .catch(() => sendResponse({ history: [] }));
+      return true;
+    case "CLEAR_HISTORY":
+      clearHistory()
+        .then(history => sendResponse({ history }))
+        .catch(() => sendResponse({ history: [] }));
+      return true;
+    case "GET_SETTINGS":
+      getSettings()
+        .then(settings => sendResponse({ settings }))
+        .catch(() => sendResponse({ settings: mergeSettings(DEFAULT_SETTINGS) }));
+      return true;
+    case "SAVE_SETTINGS":
+      saveSettings(request.settings)
+        .then(settings => sendResponse({ settings }))
+        .catch(() => sendResponse({ settings: null }));
+      return true;
+    case "EXPORT_DATA":
+      exportData()
+        .then(bundle => sendResponse({ bundle }))
+        .catch(() => sendResponse({ bundle: null }));
+      return true;
+    case "PREVIEW_IMPORT":
+      previewImport(request.bundle)
+        .then(preview => sendResponse({ preview }))
+        .catch(error => sendResponse({ error: error.message }));
+      return true;
+    case "IMPORT_DATA":
+      importData(request.bundle, request.shortcutMode)
+        .then(result => sendResponse({ result }))
+        .catch(error => sendResponse({ error: error.message }));
+      return true;
+    case "GET_SYNC_STATUS":
+      getSyncStatus()
+        .then(status => sendResponse({ status }))
+        .catch(() => sendResponse({ status: null }));
+      return true;
+    case "SHOW_CONTROLS":
+      chrome.tabs.get(request.tabId)
+        .then(showControlsInTab)
+        .then(shown => sendResponse({ shown }))
+        .catch(() => sendResponse({ shown: false }));
+      return true;
+    case "REDIRECT_TAB":
+      refreshRedirects((state, redirects) => redirectSenderTab(state, redirects, sender.tab))
+        .then(redirected => sendResponse({ redirected }))
+        .catch(() => sendResponse({ redirected: false }));
+      return true;
+    case "OPEN_OPTIONS":
+      chrome.runtime.openOptionsPage()
+        .then(() => sendResponse({ opened: true }))
+        .catch(() => sendResponse({ opened: false }));
+      return true;
+    case "OPEN_STATS":
+      chrome.tabs.create({ url: chrome.runtime.getURL("stats.html") })
+        .then(() => sendResponse({ opened: true }))
+        .catch(() => sendResponse({ opened: false }));
+      return true;
     default:
       return false;
   }
 });
 
 async function initializeState() {
-  const state = await ensureState();
-  const normalized = await normalizeState(state);
-  await saveState(normalized);
-  scheduleAlarm(normalized);
+  await runExclusive(async () => {
+    const state = await ensureState();
+    const normalized = await normalizeState(state);
+    await saveState(normalized);
+    scheduleAlarm(normalized);
+    await updateActionBadge(normalized);
+    await notifyTransition(state, normalized);
+  });
+  // Dynamic rules outlive a restart; rebuild them from the state instead of trusting them.
+  await refreshFocusRules();
+}
+
+function runExclusive(task) {
+  const run = exclusiveQueue.then(task);
+  exclusiveQueue = run.catch(() => {});
+  return run;
 }
 
 async function ensureState() {
@@ -103,6 +496,11 @@ async function saveState(state) {
 }
 
 function scheduleAlarm(state) {
+  if (state.status === "paused" && state.pauseDeadline) {
+    chrome.alarms.create(ALARM_NAME, { when: Math.max(Date.now() + 200, state.pauseDeadline) });
+    return;
+  }
+
   if (state.status !== "running" || !state.nextTransition) {
     chrome.alarms.clear(ALARM_NAME);
     return;
@@ -113,75 +511,48 @@ function scheduleAlarm(state) {
 }
 
 async function handleAlarm(alarm) {
-  if (alarm.name !== ALARM_NAME) return;
-
-  const state = await ensureState();
-  const now = Date.now();
-
-  const focusExpired =
-    state.status === "running" &&
-    state.phase === "focus" &&
-    typeof state.nextTransition === "number" &&
-    state.nextTransition <= now;
-  const breakExpired =
-    state.status === "running" &&
-    state.phase === "break" &&
-    typeof state.nextTransition === "number" &&
-    state.nextTransition <= now;
-
-  const normalized = await normalizeState(state);
-  await saveState(normalized);
-
-  if (focusExpired) {
-    const transitioned = await transitionToBreakReady(normalized);
-    scheduleAlarm(transitioned);
-    return;
-  }
-
-  if (
-    breakExpired ||
-    (normalized.status === "running" &&
-      normalized.phase === "break" &&
-      typeof normalized.nextTransition === "number" &&
-      normalized.nextTransition <= Date.now())
-  ) {
-    const transitioned = await transitionToNextFocus(normalized);
-    scheduleAlarm(transitioned);
+  if (alarm.name === SCHEDULE_ALARM_NAME) {
+    await handleScheduleChange();
     return;
   }
 
-  if (normalized.status !== "running" || !normalized.nextTransition) {
-    scheduleAlarm(normalized);
+  if (alarm.name === BADGE_ALARM_NAME) {
+    await updateActionBadge(await ensureState());
     return;
   }
 
-  if (normalized.nextTransition > Date.now()) {
-    scheduleAlarm(normalized);
-    return;
-  }
+  if (alarm.name !== ALARM_NAME) return;
 
-  if (normalized.phase === "focus") {
-    const transitioned = await transitionToBreakReady(normalized);
-    scheduleAlarm(transitioned);
-  } else if (normalized.phase === "break") {
-    const transitioned = await transitionToNextFocus(normalized);
-    scheduleAlarm(transitioned);
-  } else {
+  await runExclusive(async () => {
+    const state = await ensureState();
+    const normalized = await normalizeState(state);
+    await saveState(normalized);
+    await broadcastState(normalized);
     scheduleAlarm(normalized);
-  }
+    await notifyTransition(state, normalized);
+  });
 }
 
-async function setDurations(focusMinutes, breakMinutes) {
+async function setDurations(durations) {
   const state = await ensureState();
-  const focusMs = toMs(focusMinutes ?? state.focusMinutes);
-  const breakMs = toMs(breakMinutes ?? state.breakMinutes);
+
+  // Edits can't shorten the block they were made in; they wait for the next cycle.
+  if (isFocusBlockActive(state)) {
+    const queued = { ...state, pendingDurations: queueDurations(state, durations) };
+    await saveState(queued);
+    await broadcastState(queued);
+    return queued;
+  }
 
   let updated = {
     ...state,
-    focusMinutes: minutesFromMs(focusMs),
-    breakMinutes: minutesFromMs(breakMs)
+    ...resolveDurations(state, withPendingDurations(state, durations)),
+    pendingDurations: null
   };
 
+  const focusMs = toMs(updated.focusMinutes);
+  const breakMs = breakMsFor(updated);
+
   if (state.status === "running") {
     updated = adjustRunningDurations(updated, focusMs, breakMs);
   } else if (state.status === "paused") {
@@ -198,6 +569,8 @@ async function setDurations(focusMinutes, breakMinutes) {
       status: "break_ready",
       remainingMs: breakMs
     };
+  } else if (state.status === "focus_ready") {
+    updated = { ...updated, remainingMs: isFlowtimeFocus(updated) ? null : focusMs };
   }
 
   await saveState(updated);
@@ -206,21 +579,105 @@ async function setDurations(focusMinutes, breakMinutes) {
   return updated;
 }
 
-async function startSession(focusMinutes, breakMinutes) {
+// Loads a preset's durations the same way an edit would, so a running focus block only
+// queues them. Its auto-start flags, when set, are written to the flow settings.
+async function applyPreset(presetId) {
+  const { presets } = await getSettings();
+  const preset = presets.items.find(item => item.id === presetId);
+  if (!preset) throw new Error("Preset not found");
+
+  const flow = {};
+  if (typeof preset.autoStartBreak === "boolean") flow.autoStartBreak = preset.autoStartBreak;
+  if (typeof preset.autoStartFocus === "boolean") flow.autoStartFocus = preset.autoStartFocus;
+  if (Object.keys(flow).length > 0) await saveSettings({ flow });
+
+  return setDurations(pickDurations(preset));
+}
+
+// One-off fixes to stored data, each recorded by name so it runs once per profile.
+async function migrateStoredData() {
+  try {
+    const stored = await chrome.storage.local.get([SETTINGS_KEY, MIGRATIONS_KEY]);
+    const done = stored[MIGRATIONS_KEY] ?? [];
+    if (done.includes("presetDefaultOptIn")) return;
+
+    // "classic" used to be everyone's default, so stored settings can't tell it from a real
+    // choice. Clearing it once stops custom durations being reset on every start.
+    const settings = stored[SETTINGS_KEY];
+    if (settings?.presets?.defaultId === "classic") {
+      await chrome.storage.local.set({
+        [SETTINGS_KEY]: { ...settings, presets: { ...settings.presets, defaultId: null } }
+      });
+    }
+    await chrome.storage.local.set({ [MIGRATIONS_KEY]: [...done, "presetDefaultOptIn"] });
+  } catch (error) {
+    // Storage unavailable - tried again on the next update
+  }
+}
+
+async function applyDefaultPreset() {
+  // Let the startup catch-up settle first; a session that is still going keeps its durations.
+  await exclusiveQueue;
+  const [state, { presets }] = await Promise.all([ensureState(), getSettings()]);
+  if (state.status !== "idle" || !presets.defaultId) return;
+
+  try {
+    await applyPreset(presets.defaultId);
+  } catch (error) {
+    // Default preset was removed - keep the current durations
+  }
+}
+
+async function startSession(durations, options = {}) {
   const state = await ensureState();
-  const focusMs = toMs(focusMinutes ?? state.focusMinutes);
-  const breakMs = toMs(breakMinutes ?? state.breakMinutes);
+  // Restarting mid-block is no way around the duration lock: new lengths are queued too.
+  const locked = isFocusBlockActive(state);
+  const resolved = locked
+    ? resolveDurations(state)
+    : resolveDurations(state, withPendingDurations(state, durations));
+  const pendingDurations = locked ? queueDurations(state, durations) : null;
+  const focusMs = toMs(resolved.focusMinutes);
   const now = Date.now();
+  // Starting from focus_ready carries on with the session that is waiting for the click.
+  const continuing = state.status === "focus_ready";
+  const focusMode = continuing || locked ? state.focusMode : await getFocusMode();
+  // A new intention replaces the last one; starting without one keeps it within the session.
+  const intention =
+    typeof options.intention === "string"
+      ? sanitizeIntention(options.intention)
+      : continuing || locked ? state.intention : null;
+  const taskId =
+    options.taskId === undefined
+      ? continuing || locked ? state.taskId : null
+      : await findOpenTaskId(options.taskId);
+
+  if (state.status === "running") {
+    await appendHistory([buildSegment(state, "aborted", now)]);
+  }
+  await settlePause(state, now);
 
   const updated = {
     ...state,
+    ...resolved,
     status: "running",
     phase: "focus",
-    focusMinutes: minutesFromMs(focusMs),
-    breakMinutes: minutesFromMs(breakMs),
+    cycle: continuing ? state.cycle : 1,
     cycleStart: now,
-    nextTransition: now + focusMs,
-    remainingMs: null
+    nextTransition: focusMode === "flowtime" ? null : now + focusMs,
+    remainingMs: null,
+    sessionId: continuing ? state.sessionId : crypto.randomUUID(),
+    segmentStart: now,
+    scheduledUntil: options.scheduledUntil ?? (continuing ? state.scheduledUntil : null),
+    scheduleSuppressedUntil: null,
+    pendingDurations,
+    pausedAt: null,
+    pauseDeadline: null,
+    focusMode,
+    elapsedMs: null,
+    earnedBreakMs: null,
+    intention,
+    reflectedCycle: continuing || locked ? state.reflectedCycle : null,
+    taskId
   };
 
   await saveState(updated);
@@ -235,17 +692,67 @@ async function startBreak() {
     return state;
   }
 
+  const updated = transitionToBreak(state, Date.now());
+
+  await saveState(updated);
+  await broadcastState(updated);
+  scheduleAlarm(updated);
+  return updated;
+}
+
+// The reflection is attached to the last recorded stretch of the focus block that just ended,
+// which is why it can only be saved while that block's break is ready or running.
+async function saveReflection(reflection) {
+  const state = await ensureState();
+  if (state.phase !== "break" || state.status === "idle" || !state.sessionId) {
+    throw new Error("No focus block to reflect on");
+  }
+
+  await updateHistory(history => {
+    const index = history.findLastIndex(
+      entry => entry.sessionId === state.sessionId && entry.phase === "focus" && entry.cycle === state.cycle
+    );
+    if (index === -1) throw new Error("No focus block to reflect on");
+
+    history[index] = { ...history[index], reflection: sanitizeReflection(reflection) };
+    return history;
+  });
+
+  const updated = { ...state, reflectedCycle: state.cycle };
+  await saveState(updated);
+  await broadcastState(updated);
+  return updated;
+}
+
+// Ends a flowtime focus block: the focused time is recorded and earns the break.
+// `options` carries the commitment-mode proof, as for pausing and stopping.
+async function endFocus(options = {}) {
+  const state = await ensureState();
+  if (!isFlowtimeFocus(state) || !isFocusBlockActive(state)) {
+    return state;
+  }
+
+  await verifyEscape(state, "end", options);
+
   const now = Date.now();
-  const breakMs = toMs(state.breakMinutes);
+  await settlePause(state, now);
 
-  const updated = {
+  if (state.status === "running") {
+    await appendHistory([buildSegment(state, "completed", now)]);
+  } else {
+    // The focused time was already recorded on pause; log the finish itself.
+    await appendHistory([buildSegment({ ...state, segmentStart: now }, "completed", now)]);
+  }
+
+  const { flow, flowtime } = await getSettings();
+  const earned = {
     ...state,
-    status: "running",
-    phase: "break",
-    cycleStart: now,
-    nextTransition: now + breakMs,
-    remainingMs: null
+    elapsedMs: null,
+    earnedBreakMs: earnBreakMs(getElapsedMs(state, now), flowtime),
+    pausedAt: null,
+    pauseDeadline: null
   };
+  const updated = transitionAfterFocus(earned, now, flow);
 
   await saveState(updated);
   await broadcastState(updated);
@@ -253,18 +760,41 @@ async function startBreak() {
   return updated;
 }
 
-async function pauseSession() {
+// `options` carries the commitment-mode proof ({ challengeId, phrase }); `mirrored` marks a
+// pause another device already confirmed and charged to its own pause budget.
+async function pauseSession(options = {}) {
   const state = await ensureState();
-  if (state.status !== "running" || !state.nextTransition) {
+  const flowtime = isFlowtimeFocus(state);
+  if (state.status !== "running" || (!state.nextTransition && !flowtime)) {
     return state;
   }
 
-  const remainingMs = Math.max(0, state.nextTransition - Date.now());
+  const now = Date.now();
+  // Only focus pauses count against the budget; breaks are yours to pause.
+  const budget = options.mirrored || state.phase !== "focus" ? null : await getPauseBudget(now);
+  if (budget?.enabled) {
+    assertPauseBudget(budget);
+  }
+
+  if (!options.mirrored) {
+    await verifyEscape(state, "pause", options);
+  }
+
+  await appendHistory([buildSegment(state, "paused", now)]);
+
+  if (budget?.enabled) {
+    await savePauseUsage({ ...budget.usage, pauses: budget.usage.pauses + 1 });
+  }
+
   const updated = {
     ...state,
     status: "paused",
     nextTransition: null,
-    remainingMs
+    remainingMs: flowtime ? null : Math.max(0, state.nextTransition - now),
+    elapsedMs: flowtime ? getElapsedMs(state, now) : null,
+    segmentStart: null,
+    pausedAt: budget?.enabled ? now : null,
+    pauseDeadline: budget?.enabled ? now + budget.msLeft : null
   };
 
   await saveState(updated);
@@ -279,25 +809,9 @@ async function resumeSession() {
     return state;
   }
 
-  const focusMs = toMs(state.focusMinutes);
-  const breakMs = toMs(state.breakMinutes);
-  const durationMs = state.phase === "focus" ? focusMs : breakMs;
-
-  const remainingMs = Math.min(
-    state.remainingMs ?? durationMs,
-    durationMs
-  );
-
   const now = Date.now();
-  const cycleStart = Math.max(0, now - (durationMs - remainingMs));
-
-  const updated = {
-    ...state,
-    status: "running",
-    cycleStart,
-    nextTransition: now + remainingMs,
-    remainingMs: null
-  };
+  await settlePause(state, now);
+  const updated = transitionToResumed(state, now);
 
   await saveState(updated);
   await broadcastState(updated);
@@ -305,15 +819,29 @@ async function resumeSession() {
   return updated;
 }
 
-async function stopSession() {
+async function stopSession(options = {}) {
   const state = await ensureState();
+  if (!options.mirrored) {
+    await verifyEscape(state, "stop", options);
+  }
+
+  const now = Date.now();
+  await settlePause(state, now);
+
+  if (state.status === "running") {
+    await appendHistory([buildSegment(state, "aborted", now)]);
+  } else if (state.status === "paused") {
+    // The active time was already recorded on pause; log the abort itself.
+    await appendHistory([buildSegment({ ...state, segmentStart: now }, "aborted", now)]);
+  }
+
+  // Stopping inside a schedule window keeps the schedule from restarting it.
+  const settings = await getSettings();
+  const activeWindow = findActiveWindow(settings.schedule, now);
+
   const updated = {
-    ...state,
-    status: "idle",
-    phase: "focus",
-    cycleStart: null,
-    nextTransition: null,
-    remainingMs: null
+    ...toIdleState(state),
+    scheduleSuppressedUntil: activeWindow?.end ?? null
   };
   await saveState(updated);
   await broadcastState(updated);
@@ -336,65 +864,175 @@ function adjustRunningDurations(state, focusMs, breakMs) {
 }
 
 async function normalizeState(state) {
-  const normalized = { ...DEFAULT_STATE, ...state };
-
-  if (normalized.status === "break_ready") {
-    if (typeof normalized.remainingMs !== "number") {
-      normalized.remainingMs = toMs(normalized.breakMinutes);
-    }
-    return normalized;
-  }
+  let normalized = { ...DEFAULT_STATE, ...state };
 
-  if (normalized.status !== "running" || !normalized.nextTransition) {
-    return normalized;
+  if (normalized.status === "break_ready" && typeof normalized.remainingMs !== "number") {
+    normalized.remainingMs = breakMsFor(normalized);
   }
 
   const now = Date.now();
+  const { flow } = await getSettings();
+  const segments = [];
+
+  // A scheduled session never runs past the end of its window.
+  const windowEnd = normalized.scheduledUntil;
+  const replayUntil = typeof windowEnd === "number" ? Math.min(now, windowEnd) : now;
 
+  // A pause that used up the daily budget ended at the deadline, not now.
   if (
-    normalized.phase === "focus" &&
-    typeof normalized.nextTransition === "number" &&
-    normalized.nextTransition <= now
+    normalized.status === "paused" &&
+    typeof normalized.pauseDeadline === "number" &&
+    normalized.pauseDeadline <= replayUntil
   ) {
-    return {
-      ...normalized,
-      status: "break_ready",
-      phase: "break",
-      cycleStart: null,
-      nextTransition: null,
-      remainingMs: toMs(normalized.breakMinutes)
-    };
+    await settlePause(normalized, normalized.pauseDeadline);
+    normalized = transitionToResumed(normalized, normalized.pauseDeadline);
   }
 
-  const focusMs = toMs(normalized.focusMinutes);
-  const breakMs = toMs(normalized.breakMinutes);
-
-  let { phase, cycleStart, nextTransition } = normalized;
-
   let safetyCounter = 0;
   const MAX_ITERATIONS = 1000;
 
-  while (nextTransition !== null && nextTransition <= now && safetyCounter < MAX_ITERATIONS) {
+  // Replay every transition that came due while the worker was asleep, each one
+  // taking effect at the moment it was scheduled rather than now.
+  while (
+    normalized.status === "running" &&
+    typeof normalized.nextTransition === "number" &&
+    normalized.nextTransition <= replayUntil &&
+    safetyCounter < MAX_ITERATIONS
+  ) {
     safetyCounter++;
-    if (phase === "focus") {
-      phase = "break";
-      cycleStart = nextTransition;
-      nextTransition = cycleStart + breakMs;
-    } else {
-      phase = "focus";
-      cycleStart = nextTransition;
-      nextTransition = cycleStart + focusMs;
+    const at = normalized.nextTransition;
+    segments.push(buildSegment(normalized, "completed", at));
+
+    normalized =
+      normalized.phase === "focus"
+        ? transitionAfterFocus(normalized, at, flow)
+        : transitionAfterBreak(normalized, at, flow);
+  }
+
+  if (typeof windowEnd === "number" && windowEnd <= now && normalized.status !== "idle") {
+    if (normalized.status === "running") {
+      segments.push(buildSegment(normalized, "window_end", windowEnd));
     }
+    await settlePause(normalized, windowEnd);
+    normalized = toIdleState(normalized);
+  }
+
+  await appendHistory(segments);
+  return normalized;
+}
+
+function toIdleState(state) {
+  return {
+    ...applyPendingDurations(state),
+    status: "idle",
+    phase: "focus",
+    cycleStart: null,
+    nextTransition: null,
+    remainingMs: null,
+    sessionId: null,
+    segmentStart: null,
+    scheduledUntil: null,
+    pausedAt: null,
+    pauseDeadline: null,
+    elapsedMs: null,
+    earnedBreakMs: null,
+    intention: null,
+    reflectedCycle: null,
+    taskId: null
+  };
+}
+
+function pickDurations(request) {
+  return {
+    focusMinutes: request.focusMinutes,
+    breakMinutes: request.breakMinutes,
+    longBreakMinutes: request.longBreakMinutes,
+    longBreakInterval: request.longBreakInterval
+  };
+}
+
+function isFocusBlockActive(state) {
+  return state.phase === "focus" && (state.status === "running" || state.status === "paused");
+}
+
+// Merges an edit into whatever is already queued. Cuts to the focus length are capped so
+// one cycle can't drop a 50 minute block to 1 minute; null means nothing left to change.
+function queueDurations(state, durations) {
+  const queued = resolveDurations(state, withPendingDurations(state, durations));
+  const minimumFocus = Math.ceil(state.focusMinutes * (1 - MAX_QUEUED_FOCUS_CUT));
+  queued.focusMinutes = Math.max(queued.focusMinutes, minimumFocus);
+
+  const current = resolveDurations(state);
+  const changed = Object.keys(queued).some(key => queued[key] !== current[key]);
+  return changed ? queued : null;
+}
+
+// Lays an edit over the queued one; durations the caller left out keep their queued value.
+function withPendingDurations(state, durations = {}) {
+  const merged = { ...state.pendingDurations };
+  for (const [key, value] of Object.entries(durations)) {
+    if (value !== undefined && value !== null) merged[key] = value;
   }
+  return merged;
+}
+
+function applyPendingDurations(state) {
+  if (!state.pendingDurations) return state;
+  return { ...state, ...resolveDurations(state, state.pendingDurations), pendingDurations: null };
+}
 
+// Fills in any duration the caller left out from the current state and sanitizes the rest.
+function resolveDurations(state, durations = {}) {
   return {
-    ...normalized,
-    phase,
-    cycleStart,
-    nextTransition
+    focusMinutes: minutesFromMs(toMs(durations.focusMinutes ?? state.focusMinutes)),
+    breakMinutes: minutesFromMs(toMs(durations.breakMinutes ?? state.breakMinutes)),
+    longBreakMinutes: minutesFromMs(toMs(durations.longBreakMinutes ?? state.longBreakMinutes)),
+    longBreakInterval: toCycleCount(durations.longBreakInterval ?? state.longBreakInterval)
   };
 }
 
+// Every `longBreakInterval`-th focus cycle earns the long break.
+function isLongBreak(state) {
+  const interval = toCycleCount(state.longBreakInterval);
+  return (state.cycle ?? 1) % interval === 0;
+}
+
+function breakMinutesFor(state) {
+  return isLongBreak(state) ? state.longBreakMinutes : state.breakMinutes;
+}
+
+// A flowtime block's earned break replaces the configured break length.
+function breakMsFor(state) {
+  return state.earnedBreakMs ?? toMs(breakMinutesFor(state));
+}
+
+function isFlowtimeFocus(state) {
+  return state.focusMode === "flowtime" && state.phase === "focus";
+}
+
+async function getFocusMode() {
+  const { flowtime } = await getSettings();
+  return flowtime.enabled ? "flowtime" : "fixed";
+}
+
+// Time focused so far in a flowtime block, paused stretches excluded.
+function getElapsedMs(state, now = Date.now()) {
+  if (state.status === "paused") return state.elapsedMs ?? 0;
+  return Math.max(0, now - (state.cycleStart ?? now));
+}
+
+// Focused time divided by the ratio, kept within the min/max and rounded to whole seconds.
+function earnBreakMs(focusedMs, flowtime) {
+  const earned = Math.round(focusedMs / flowtime.breakRatio / 1000) * 1000;
+  return Math.min(toMs(flowtime.maxBreakMinutes), Math.max(toMs(flowtime.minBreakMinutes), earned));
+}
+
+function toCycleCount(value) {
+  const parsed = Math.round(Number(value));
+  if (!Number.isFinite(parsed) || parsed < 1) return DEFAULT_LONG_BREAK_INTERVAL;
+  return Math.min(MAX_LONG_BREAK_INTERVAL, parsed);
+}
+
 function toMs(minutes) {
   const parsed = Number(minutes);
   return Math.max(1, Math.round(parsed || 0)) * 60 * 1000;
@@ -405,9 +1043,82 @@ function minutesFromMs(ms) {
 }
 
 async function broadcastState(state) {
+  await updateActionBadge(state);
+  clearStaleNotifications(state);
+  await broadcastMessage({ type: "STATE_UPDATED", state });
+  await refreshRedirects(syncRedirects);
+}
+
+// Shows whole minutes left on the toolbar icon. Instead of keeping the worker
+// alive, a one-shot alarm wakes it when the displayed minute next changes.
+async function updateActionBadge(state) {
+  // Flowtime focus has no end to count down to, so the badge counts up instead.
+  const countingUp = isFlowtimeFocus(state) && isFocusBlockActive(state);
+  const remainingMs = countingUp ? getElapsedMs(state) : getRemainingMs(state);
+  const colorKey =
+    state.status === "running" ? state.phase : state.status;
+
+  try {
+    if (remainingMs === null || !BADGE_COLORS[colorKey]) {
+      await chrome.action.setBadgeText({ text: "" });
+      await chrome.action.setTitle({ title: ACTION_TITLE });
+      chrome.alarms.clear(BADGE_ALARM_NAME);
+      return;
+    }
+
+    const minutes = countingUp
+      ? Math.floor(remainingMs / 60000)
+      : Math.max(1, Math.ceil(remainingMs / 60000));
+    await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLORS[colorKey] });
+    await chrome.action.setBadgeText({ text: formatBadgeMinutes(minutes) });
+    await chrome.action.setTitle({
+      title: `${ACTION_TITLE} - ${describeBadgePhase(state)}: ${minutes} min ${countingUp ? "focused" : "left"}`
+    });
+  } catch (error) {
+    // Action API unavailable - silently ignore
+  }
+
+  if (state.status !== "running") {
+    chrome.alarms.clear(BADGE_ALARM_NAME);
+    return;
+  }
+
+  const untilNextMinute = countingUp
+    ? 60000 - (remainingMs % 60000)
+    : remainingMs % 60000 || 60000;
+  chrome.alarms.create(BADGE_ALARM_NAME, { when: Date.now() + untilNextMinute + 50 });
+}
+
+function getRemainingMs(state) {
+  if (state.status === "running" && typeof state.nextTransition === "number") {
+    return Math.max(0, state.nextTransition - Date.now());
+  }
+
+  if (state.status === "paused" || state.status === "break_ready" || state.status === "focus_ready") {
+    // A flowtime block that hasn't started is open-ended: there is no length to show yet.
+    if (state.status === "focus_ready" && isFlowtimeFocus(state)) return null;
+    return state.remainingMs ?? (state.phase === "focus" ? toMs(state.focusMinutes) : breakMsFor(state));
+  }
+
+  return null;
+}
+
+function formatBadgeMinutes(minutes) {
+  return minutes < 100 ? `${minutes}m` : `${Math.ceil(minutes / 60)}h`;
+}
+
+function describeBadgePhase(state) {
+  if (state.status === "paused") return "Paused";
+  if (state.status === "break_ready") return "Break ready";
+  if (state.status === "focus_ready") return "Focus ready";
+  if (isFlowtimeFocus(state)) return "Flowtime";
+  return state.phase === "focus" ? "Focus" : "Break";
+}
+
+async function broadcastMessage(message) {
   // Broadcast to extension context (for popup, options page, etc.)
   try {
-    chrome.runtime.sendMessage({ type: "STATE_UPDATED", state }, () => {
+    chrome.runtime.sendMessage(message, () => {
       // Check for lastError to prevent console errors
       void chrome.runtime.lastError;
     });
@@ -415,21 +1126,17 @@ async function broadcastState(state) {
     // Silently ignore - no receiving context available
   }
 
-  // Broadcast to all X/Twitter content scripts
+  // Broadcast to content scripts on every blocked site
   try {
-    const tabs = await chrome.tabs.query({
-      url: [
-        "https://x.com/*",
-        "https://www.x.com/*",
-        "https://twitter.com/*",
-        "https://www.twitter.com/*"
-      ]
-    });
+    const sites = await getBlockedSites();
+    if (sites.length === 0) return;
+
+    const tabs = await chrome.tabs.query({ url: siteMatchPatterns(sites) });
 
     for (const tab of tabs) {
       if (tab.id) {
         try {
-          await chrome.tabs.sendMessage(tab.id, { type: "STATE_UPDATED", state });
+          await chrome.tabs.sendMessage(tab.id, message);
         } catch (error) {
           // Tab might be closed or content script not loaded - silently ignore
         }
@@ -440,9 +1147,12 @@ async function broadcastState(state) {
   }
 }
 
-async function handleActionClick(tab) {
-  if (!tab?.id || !tab.url) return;
-  if (!isSupportedUrl(tab.url)) return;
+// Opens the in-page overlay controls; only blocked sites have the content script.
+async function showControlsInTab(tab) {
+  if (!tab?.id || !tab.url) return false;
+
+  const sites = await getBlockedSites();
+  if (!isSupportedUrl(tab.url, sites)) return false;
 
   try {
     const state = await ensureState();
@@ -450,48 +1160,195 @@ async function handleActionClick(tab) {
       type: "OPEN_CONTROLS",
       state
     });
+    return true;
   } catch (error) {
     // Content script not loaded or tab closed - silently ignore
+    return false;
   }
 }
 
-function isSupportedUrl(url) {
-  return /^https:\/\/(www\.)?(x|twitter)\.com\//.test(url ?? "");
-}
-
-async function transitionToBreakReady(state) {
-  const breakMs = toMs(state.breakMinutes);
+// Keyboard shortcuts from the manifest's "commands"; rebindable at chrome://extensions/shortcuts.
+async function handleCommand(command, tab) {
+  const state = await ensureState();
 
-  const updated = {
-    ...state,
+  switch (command) {
+    case "start-focus":
+      // Ignore repeats so a stray keypress doesn't restart the current block. From focus_ready
+      // this starts the next cycle of the waiting session.
+      if (state.phase === "focus" && (state.status === "running" || state.status === "paused")) {
+        return;
+      }
+      await startSession({});
+      return;
+    case "toggle-pause":
+      if (state.status === "paused") {
+        await resumeSession();
+      } else if (needsEscapeChallenge(state, await getSettings(), "pause")) {
+        // A keypress can't wait or type a phrase; hand over to the controls instead.
+        await showControls(tab);
+      } else {
+        try {
+          await pauseSession();
+        } catch (error) {
+          // Pause budget used up; the controls show what's left and when it resets.
+          await showControls(tab);
+        }
+      }
+      return;
+    case "start-break":
+      // In flowtime the break shortcut is also how a focus block is ended.
+      if (isFlowtimeFocus(state) && isFocusBlockActive(state)) {
+        if (needsEscapeChallenge(state, await getSettings(), "end")) {
+          await showControls(tab);
+        } else {
+          await endFocus();
+        }
+        return;
+      }
+      await startBreak();
+      return;
+    case "show-controls":
+      await showControls(tab);
+      return;
+    default:
+      return;
+  }
+}
+
+// Opens the overlay on a blocked tab, or the toolbar popup anywhere else.
+async function showControls(tab) {
+  const activeTab = tab ?? (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+  if (await showControlsInTab(activeTab)) return;
+
+  try {
+    await chrome.action.openPopup();
+  } catch (error) {
+    // Popup can't be opened programmatically here - silently ignore
+  }
+}
+
+function isSupportedUrl(url, sites) {
+  let parsed;
+  try {
+    parsed = new URL(url ?? "");
+  } catch (error) {
+    return false;
+  }
+
+  if (parsed.protocol !== "https:" && parsed.protocol !== "http:") return false;
+  return sites.some(site => hostMatchesSite(parsed.hostname, site));
+}
+
+function hostMatchesSite(hostname, site) {
+  return hostname === site || hostname.endsWith(`.${site}`);
+}
+
+function transitionToBreakReady(state) {
+  const breakMs = breakMsFor(state);
+
+  return {
+    ...state,
     status: "break_ready",
     phase: "break",
     cycleStart: null,
     nextTransition: null,
-    remainingMs: breakMs
+    remainingMs: breakMs,
+    segmentStart: null
   };
+}
 
-  await saveState(updated);
-  await broadcastState(updated);
-  return updated;
+// What follows a completed focus block or break depends on the flow settings.
+function transitionAfterFocus(state, at, flow) {
+  const ready = transitionToBreakReady(state);
+  return flow.autoStartBreak ? transitionToBreak(ready, at) : ready;
 }
 
-async function transitionToNextFocus(state) {
-  const now = Date.now();
-  const focusMs = toMs(state.focusMinutes);
+function transitionAfterBreak(state, at, flow) {
+  if (flow.stopAfterCycles > 0 && (state.cycle ?? 1) >= flow.stopAfterCycles) {
+    // The session is done; keep the schedule from starting it over in the same window.
+    return {
+      ...toIdleState(state),
+      scheduleSuppressedUntil: state.scheduledUntil ?? state.scheduleSuppressedUntil
+    };
+  }
 
-  const updated = {
+  return flow.autoStartFocus ? transitionToNextFocus(state, at) : transitionToFocusReady(state);
+}
+
+function transitionToBreak(state, at) {
+  const breakMs = breakMsFor(state);
+
+  return {
     ...state,
     status: "running",
+    phase: "break",
+    cycleStart: at,
+    nextTransition: at + breakMs,
+    remainingMs: null,
+    segmentStart: at
+  };
+}
+
+function transitionToFocusReady(state) {
+  const next = applyPendingDurations(state);
+
+  return {
+    ...next,
+    status: "focus_ready",
     phase: "focus",
-    cycleStart: now,
-    nextTransition: now + focusMs,
-    remainingMs: null
+    cycle: (state.cycle ?? 1) + 1,
+    cycleStart: null,
+    nextTransition: null,
+    remainingMs: state.focusMode === "flowtime" ? null : toMs(next.focusMinutes),
+    segmentStart: null,
+    earnedBreakMs: null
   };
+}
 
-  await saveState(updated);
-  await broadcastState(updated);
-  return updated;
+function transitionToResumed(state, at) {
+  if (isFlowtimeFocus(state)) {
+    return {
+      ...state,
+      status: "running",
+      cycleStart: Math.max(0, at - (state.elapsedMs ?? 0)),
+      nextTransition: null,
+      elapsedMs: null,
+      segmentStart: at,
+      pausedAt: null,
+      pauseDeadline: null
+    };
+  }
+
+  const durationMs = state.phase === "focus" ? toMs(state.focusMinutes) : breakMsFor(state);
+  const remainingMs = Math.min(state.remainingMs ?? durationMs, durationMs);
+
+  return {
+    ...state,
+    status: "running",
+    cycleStart: Math.max(0, at - (durationMs - remainingMs)),
+    nextTransition: at + remainingMs,
+    remainingMs: null,
+    segmentStart: at,
+    pausedAt: null,
+    pauseDeadline: null
+  };
+}
+
+function transitionToNextFocus(state, at) {
+  const next = applyPendingDurations(state);
+  const focusMs = toMs(next.focusMinutes);
+
+  return {
+    ...next,
+    status: "running",
+    phase: "focus",
+    cycle: (state.cycle ?? 1) + 1,
+    cycleStart: at,
+    nextTransition: state.focusMode === "flowtime" ? null : at + focusMs,
+    remainingMs: null,
+    segmentStart: at,
+    earnedBreakMs: null
+  };
 }
 
 async function getShortcuts() {
@@ -505,12 +1362,1982 @@ async function getShortcuts() {
 
 async function saveShortcuts(shortcuts) {
   try {
-    const validShortcuts = (shortcuts || []).filter(
-      s => s && typeof s.name === 'string' && typeof s.url === 'string'
-    );
+    const validShortcuts = filterValidShortcuts(shortcuts);
     await chrome.storage.local.set({ [SHORTCUTS_KEY]: validShortcuts });
+    await broadcastMessage({ type: "SHORTCUTS_UPDATED", shortcuts: validShortcuts });
     return validShortcuts;
   } catch (error) {
     return [];
   }
 }
+
+async function getTasks() {
+  try {
+    const stored = await chrome.storage.local.get(TASKS_KEY);
+    return stored[TASKS_KEY] ?? [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function updateTasks(update) {
+  const run = tasksQueue.then(async () => {
+    const tasks = update(await getTasks());
+    await chrome.storage.local.set({ [TASKS_KEY]: tasks });
+    await broadcastMessage({ type: "TASKS_UPDATED", tasks });
+    return tasks;
+  });
+  tasksQueue = run.catch(() => {});
+  return run;
+}
+
+// Pages send the whole list back after an edit. Pomodoro counts are only ever raised by the
+// worker, so the stored counts win over whatever copy the page had.
+function saveTasks(tasks) {
+  return updateTasks(current => {
+    const counts = new Map(current.map(task => [task.id, task.pomodoros]));
+    return sanitizeTasks(tasks).map(task => ({ ...task, pomodoros: counts.get(task.id) ?? 0 }));
+  });
+}
+
+// Every completed focus block linked to a task counts as one pomodoro for it.
+async function creditTasks(entries) {
+  const credits = new Map();
+  for (const entry of entries) {
+    if (entry.phase !== "focus" || entry.outcome !== "completed" || !entry.taskId) continue;
+    credits.set(entry.taskId, (credits.get(entry.taskId) ?? 0) + 1);
+  }
+  if (credits.size === 0) return;
+
+  try {
+    await updateTasks(tasks =>
+      tasks.map(task => (credits.has(task.id) ? { ...task, pomodoros: task.pomodoros + credits.get(task.id) } : task))
+    );
+  } catch (error) {
+    // Like history, task counts never block a state transition
+  }
+}
+
+async function findOpenTaskId(taskId) {
+  if (typeof taskId !== "string" || !taskId) return null;
+  const tasks = await getTasks();
+  return tasks.some(task => task.id === taskId && !task.done) ? taskId : null;
+}
+
+function sanitizeTasks(tasks) {
+  const valid = [];
+
+  for (const task of Array.isArray(tasks) ? tasks : []) {
+    const title = typeof task?.title === "string" ? task.title.trim().slice(0, MAX_TASK_TITLE_LENGTH) : "";
+    if (!title) continue;
+
+    const id = typeof task.id === "string" && task.id ? task.id : crypto.randomUUID();
+    if (valid.some(item => item.id === id)) continue;
+
+    const done = task.done === true;
+    valid.push({
+      id,
+      title,
+      done,
+      pomodoros: 0,
+      createdAt: Number.isFinite(task.createdAt) ? task.createdAt : Date.now(),
+      completedAt: done ? (Number.isFinite(task.completedAt) ? task.completedAt : Date.now()) : null
+    });
+  }
+
+  return valid.slice(0, MAX_TASKS);
+}
+
+function filterValidShortcuts(shortcuts) {
+  return (Array.isArray(shortcuts) ? shortcuts : []).filter(
+    s => s && typeof s.name === 'string' && typeof s.url === 'string'
+  );
+}
+
+async function getBlockedSites() {
+  try {
+    const stored = await chrome.storage.local.get(SITES_KEY);
+    return stored[SITES_KEY] ?? [...DEFAULT_BLOCKED_SITES];
+  } catch (error) {
+    return [...DEFAULT_BLOCKED_SITES];
+  }
+}
+
+async function saveBlockedSites(sites) {
+  try {
+    const [previous, state] = await Promise.all([getBlockedSites(), ensureState()]);
+    let validSites = [...new Set((sites || []).map(normalizeSite).filter(Boolean))];
+
+    // Like its length, what a focus block blocks is locked until it ends: sites can still be
+    // added, but taking one off the list has to wait for the break (or commitment mode's
+    // challenge, by stopping the session).
+    if (isFocusBlockActive(state)) {
+      validSites = [...new Set([...previous, ...validSites])];
+    }
+    await chrome.storage.local.set({ [SITES_KEY]: validSites });
+    await registerBlockedSiteScripts(validSites);
+
+    const addedSites = validSites.filter(site => !previous.includes(site));
+    await injectIntoOpenTabs(addedSites);
+    await releaseSiteAccess(previous.filter(site => !validSites.includes(site)), validSites);
+    return validSites;
+  } catch (error) {
+    return [];
+  }
+}
+
+// X is a required host permission; every other site is an optional grant the extension pages
+// request when the site is added, and give back when it is removed.
+async function sitesWithoutAccess(sites) {
+  const missing = [];
+
+  for (const site of sites) {
+    try {
+      if (!(await chrome.permissions.contains({ origins: siteMatchPatterns([site]) }))) missing.push(site);
+    } catch (error) {
+      // Permissions API unavailable - assume access
+    }
+  }
+
+  return missing;
+}
+
+// A grant is kept while another blocked site (e.g. old.reddit.com) still falls under it.
+async function releaseSiteAccess(removedSites, sites) {
+  const released = removedSites.filter(
+    site => !X_HOSTS.includes(site) && !sites.some(other => hostMatchesSite(other, site))
+  );
+  if (released.length === 0) return;
+
+  try {
+    await chrome.permissions.remove({ origins: siteMatchPatterns(released) });
+  } catch (error) {
+    // Grant already gone - silently ignore
+  }
+}
+
+// Tabs already open on a site get the overlay as soon as access to it is granted.
+async function handleSiteAccessGranted(permissions) {
+  if (!permissions.origins?.length) return;
+
+  const sites = await getBlockedSites();
+  await injectIntoOpenTabs(
+    sites.filter(site => siteMatchPatterns([site]).some(origin => permissions.origins.includes(origin)))
+  );
+}
+
+// Accepts "reddit.com", "www.reddit.com" or a full URL and reduces it to a bare host.
+function normalizeSite(value) {
+  if (typeof value !== "string") return null;
+
+  const host = value
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, "")
+    .split(/[/?#]/)[0]
+    .split(":")[0]
+    .replace(/^www\./, "");
+
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host) ? host : null;
+}
+
+function siteMatchPatterns(sites) {
+  return sites.flatMap(site => [`*://${site}/*`, `*://*.${site}/*`]);
+}
+
+async function syncBlockedSiteScripts() {
+  const sites = await getBlockedSites();
+  await registerBlockedSiteScripts(sites);
+}
+
+async function registerBlockedSiteScripts(sites) {
+  try {
+    const registered = await chrome.scripting.getRegisteredContentScripts({
+      ids: [CONTENT_SCRIPT_ID]
+    });
+    if (registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [CONTENT_SCRIPT_ID] });
+    }
+
+    if (sites.length === 0) return;
+
+    await chrome.scripting.registerContentScripts([
+      {
+        id: CONTENT_SCRIPT_ID,
+        matches: siteMatchPatterns(sites),
+        js: CONTENT_SCRIPT_FILES,
+        css: ["content-style.css"],
+        runAt: "document_start"
+      }
+    ]);
+  } catch (error) {
+    // Registration failed (e.g. invalid pattern) - silently ignore
+  }
+}
+
+// Newly added sites only get the registered script on their next page load,
+// so inject into tabs that are already open on them.
+async function injectIntoOpenTabs(sites) {
+  if (sites.length === 0) return;
+
+  try {
+    const tabs = await chrome.tabs.query({ url: siteMatchPatterns(sites) });
+
+    for (const tab of tabs) {
+      // A second run would fail on the scripts' top-level declarations.
+      if (!tab.id || (await isContentScriptLoaded(tab.id))) continue;
+      try {
+        await chrome.scripting.insertCSS({
+          target: { tabId: tab.id },
+          files: ["content-style.css"]
+        });
+        await chrome.scripting.executeScript({
+          target: { tabId: tab.id },
+          files: CONTENT_SCRIPT_FILES
+        });
+      } catch (error) {
+        // Tab might be closed or restricted - silently ignore
+      }
+    }
+  } catch (error) {
+    // Query failed - silently ignore
+  }
+}
+
+async function isContentScriptLoaded(tabId) {
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, { type: "PING" });
+    return response?.loaded === true;
+  } catch (error) {
+    // No receiver in the tab - the script isn't there
+    return false;
+  }
+}
+
+// Network-level backstop for the overlay, which relies on the content script: while a focus
+// block is running, main-frame loads of blocked sites are redirected to the bundled focus page.
+// Breaks, pauses and stopping remove the rules again.
+function refreshFocusRules() {
+  const run = focusRulesQueue.then(syncFocusRules);
+  focusRulesQueue = run.catch(() => {});
+  return run;
+}
+
+async function syncFocusRules() {
+  const [state, settings, sites] = await Promise.all([ensureState(), getSettings(), getBlockedSites()]);
+  const active =
+    state.status === "running" && state.phase === "focus" && settings.intensity.focus.mode === "overlay";
+  const addRules = active ? buildFocusRules(sites, settings.routes) : [];
+
+  try {
+    const existing = await chrome.declarativeNetRequest.getDynamicRules();
+    await chrome.declarativeNetRequest.updateDynamicRules({
+      removeRuleIds: existing.map(rule => rule.id),
+      addRules
+    });
+  } catch (error) {
+    // Rules rejected or API unavailable - the overlay still blocks
+  }
+}
+
+// One redirect per site. On X the page rules become allow/redirect rules whose priority grows
+// with the path length, so the longest matching path wins like it does in the content script.
+// The original URL rides along in the focus page's hash, verbatim: a substitution can't encode it.
+function buildFocusRules(sites, routes) {
+  const rules = [];
+  const addRule = (regexFilter, priority, redirect) => {
+    rules.push({
+      id: rules.length + 1,
+      priority,
+      action: redirect
+        ? { type: "redirect", redirect: { regexSubstitution: `${chrome.runtime.getURL(FOCUS_PAGE)}#\\0` } }
+        : { type: "allow" },
+      condition: { regexFilter, resourceTypes: ["main_frame"] }
+    });
+  };
+
+  for (const site of sites) {
+    const origin = `^https?://([^/?#]+\\.)?${escapeRegex(site)}(:[0-9]+)?`;
+    const routed = routes.enabled && X_HOSTS.includes(site);
+
+    if (!routed || routes.unmatched === "block") {
+      addRule(`${origin}([/?#].*)?$`, 1, true);
+    }
+    if (!routed) continue;
+
+    for (const rule of routes.rules) {
+      const path = rule.path === "/" ? "" : escapeRegex(rule.path);
+      addRule(`${origin}${path}([/?#].*)?$`, 1 + rule.path.length, rule.action === "block");
+    }
+  }
+
+  return rules;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Redirect mode: instead of the overlay, blocked tabs are sent to one of the user's pages while
+// a focus block runs. The original URL is kept per tab and restored once the break starts or the
+// session stops. Tasks get the current state and the stored redirects, and run one at a time.
+function refreshRedirects(task) {
+  const run = redirectQueue.then(async () => {
+    const [state, stored] = await Promise.all([ensureState(), chrome.storage.session.get(REDIRECTS_KEY)]);
+    const redirects = stored[REDIRECTS_KEY] ?? { next: 0, tabs: {} };
+    const result = await task(state, redirects);
+    await chrome.storage.session.set({ [REDIRECTS_KEY]: redirects });
+    return result;
+  });
+  redirectQueue = run.catch(() => {});
+  return run;
+}
+
+// Runs after every state broadcast, using the same tab query.
+async function syncRedirects(state, redirects) {
+  if (state.status === "running" && state.phase === "focus") {
+    const [settings, sites] = await Promise.all([getSettings(), getBlockedSites()]);
+    if (settings.intensity.focus.mode !== "redirect" || sites.length === 0) return;
+
+    try {
+      const tabs = await chrome.tabs.query({ url: siteMatchPatterns(sites) });
+      for (const tab of tabs) {
+        await redirectTab(tab, redirects, settings, sites);
+      }
+    } catch (error) {
+      // Query failed - silently ignore
+    }
+    return;
+  }
+
+  if (state.status === "idle" || (state.status === "running" && state.phase === "break")) {
+    await restoreRedirectedTabs(redirects);
+  }
+}
+
+// Blocked pages opened during the focus block are reported by the content script.
+async function redirectSenderTab(state, redirects, tab) {
+  if (state.status !== "running" || state.phase !== "focus") return false;
+
+  const [settings, sites] = await Promise.all([getSettings(), getBlockedSites()]);
+  if (settings.intensity.focus.mode !== "redirect") return false;
+  return redirectTab(tab, redirects, settings, sites);
+}
+
+async function redirectTab(tab, redirects, settings, sites) {
+  if (!tab?.id || !isBlockedUrl(tab.url, sites, settings.routes)) return false;
+
+  const target = pickRedirectUrl(redirects, settings, sites);
+  if (!target) return false;
+
+  try {
+    await chrome.tabs.update(tab.id, { url: target });
+    redirects.tabs[tab.id] = tab.url;
+    return true;
+  } catch (error) {
+    // Tab closed - silently ignore
+    return false;
+  }
+}
+
+// Pages that are blocked themselves are skipped so a tab can't bounce between them.
+function pickRedirectUrl(redirects, settings, sites) {
+  const urls = settings.redirect.urls.filter(url => !isBlockedUrl(url, sites, settings.routes));
+  if (urls.length === 0) return null;
+
+  if (settings.redirect.order === "random") {
+    return urls[Math.floor(Math.random() * urls.length)];
+  }
+
+  const index = (redirects.next ?? 0) % urls.length;
+  redirects.next = index + 1;
+  return urls[index];
+}
+
+async function restoreRedirectedTabs(redirects) {
+  for (const [tabId, url] of Object.entries(redirects.tabs)) {
+    try {
+      await chrome.tabs.update(Number(tabId), { url });
+    } catch (error) {
+      // Tab closed since - silently ignore
+    }
+  }
+  redirects.tabs = {};
+}
+
+function isBlockedUrl(url, sites, routes) {
+  if (!isSupportedUrl(url, sites)) return false;
+
+  const { hostname, pathname } = new URL(url);
+  if (!routes.enabled || !X_HOSTS.some(host => hostMatchesSite(hostname, host))) return true;
+  return resolveRouteAction(pathname, routes) === "block";
+}
+
+// Mirrors the content script: the longest matching path prefix wins.
+function resolveRouteAction(pathname, routes) {
+  const path = pathname.toLowerCase().replace(/\/+/g, "/").replace(/(.)\/$/, "$1");
+  let match = null;
+
+  for (const rule of routes.rules) {
+    const matches = path === rule.path || path.startsWith(rule.path === "/" ? "/" : `${rule.path}/`);
+    if (matches && (!match || rule.path.length > match.path.length)) {
+      match = rule;
+    }
+  }
+
+  return match ? match.action : routes.unmatched;
+}
+
+// History records one entry per uninterrupted running stretch of a phase.
+function buildSegment(state, outcome, end) {
+  const start = Math.min(state.segmentStart ?? state.cycleStart ?? end, end);
+
+  return {
+    id: crypto.randomUUID(),
+    sessionId: state.sessionId,
+    phase: state.phase,
+    start,
+    end,
+    durationMs: end - start,
+    plannedMs: plannedMsFor(state),
+    cycle: state.cycle,
+    outcome, // completed | paused | aborted | window_end
+    ...(state.phase === "focus" && state.intention ? { intention: state.intention } : {}),
+    ...(state.phase === "focus" && state.taskId ? { taskId: state.taskId } : {})
+  };
+}
+
+// Flowtime focus has no planned length.
+function plannedMsFor(state) {
+  if (state.phase !== "focus") return breakMsFor(state);
+  return isFlowtimeFocus(state) ? null : toMs(state.focusMinutes);
+}
+
+async function getHistory() {
+  try {
+    const stored = await chrome.storage.local.get(HISTORY_KEY);
+    return stored[HISTORY_KEY] ?? [];
+  } catch (error) {
+    return [];
+  }
+}
+
+async function appendHistory(entries) {
+  if (entries.length === 0) return;
+
+  try {
+    await updateHistory(history => [...history, ...entries].slice(-MAX_HISTORY_ENTRIES));
+  } catch (error) {
+    // History is best effort - never block a state transition on it
+  }
+
+  await creditTasks(entries);
+}
+
+function updateHistory(update) {
+  const run = historyQueue.then(async () => {
+    const history = update(await getHistory());
+    await chrome.storage.local.set({ [HISTORY_KEY]: history });
+    return history;
+  });
+  historyQueue = run.catch(() => {});
+  return run;
+}
+
+async function clearHistory() {
+  await updateHistory(() => []);
+  await chrome.storage.local.set({ [EVENTS_KEY]: [] });
+  return [];
+}
+
+// Backup bundle: durations, settings, blocked sites, shortcuts and history in one JSON file.
+async function exportData() {
+  // Sync is chosen per device, so it stays out of the backup like it stays out of sync itself.
+  const [state, { sync, ...settings }, blockedSites, shortcuts, history] = await Promise.all([
+    ensureState(),
+    getSettings(),
+    getBlockedSites(),
+    getShortcuts(),
+    getHistory()
+  ]);
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    durations: resolveDurations(state),
+    settings,
+    blockedSites,
+    shortcuts,
+    history
+  };
+}
+
+// Throws with a user-facing message when the bundle can't be imported.
+function parseBackup(bundle) {
+  if (!isPlainObject(bundle) || bundle.format !== BACKUP_FORMAT) {
+    throw new Error("This file is not an X Underclass Preventer backup");
+  }
+
+  if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+    throw new Error("The backup has no valid version");
+  }
+
+  if (bundle.version > BACKUP_VERSION) {
+    throw new Error("The backup was made by a newer version of the extension");
+  }
+
+  return {
+    exportedAt: typeof bundle.exportedAt === "string" ? bundle.exportedAt : null,
+    durations: isPlainObject(bundle.durations) ? bundle.durations : null,
+    settings: isPlainObject(bundle.settings) ? bundle.settings : null,
+    blockedSites: Array.isArray(bundle.blockedSites)
+      ? [...new Set(bundle.blockedSites.map(normalizeSite).filter(Boolean))]
+      : null,
+    shortcuts: Array.isArray(bundle.shortcuts) ? filterValidShortcuts(bundle.shortcuts) : null,
+    history: Array.isArray(bundle.history) ? bundle.history.filter(isValidSegment) : null
+  };
+}
+
+function isValidSegment(entry) {
+  return (
+    isPlainObject(entry) &&
+    typeof entry.id === "string" &&
+    (entry.phase === "focus" || entry.phase === "break") &&
+    Number.isFinite(entry.start) &&
+    Number.isFinite(entry.end) &&
+    Number.isFinite(entry.durationMs) &&
+    typeof entry.outcome === "string"
+  );
+}
+
+async function previewImport(bundle) {
+  const backup = parseBackup(bundle);
+  const [shortcuts, history] = await Promise.all([getShortcuts(), getHistory()]);
+  const knownSegments = new Set(history.map(entry => entry.id));
+
+  return {
+    exportedAt: backup.exportedAt,
+    durations: backup.durations ? resolveDurations(DEFAULT_STATE, backup.durations) : null,
+    hasSettings: Boolean(backup.settings),
+    blockedSites: backup.blockedSites?.length ?? 0,
+    shortcuts: backup.shortcuts?.length ?? 0,
+    newShortcuts: backup.shortcuts ? mergeShortcuts(shortcuts, backup.shortcuts).length - shortcuts.length : 0,
+    history: backup.history?.length ?? 0,
+    newHistory: backup.history?.filter(entry => !knownSegments.has(entry.id)).length ?? 0
+  };
+}
+
+// Sites and history are always merged so an import can't silently unblock a site or
+// lose recorded focus time; shortcuts are merged or replaced as the user chooses.
+async function importData(bundle, shortcutMode) {
+  const backup = parseBackup(bundle);
+
+  if (backup.durations) {
+    await setDurations(backup.durations);
+  }
+
+  if (backup.settings) {
+    // Older backups carried the exporting device's sync toggles; they never apply here.
+    const { sync, ...settings } = backup.settings;
+    await saveSettings(settings);
+  }
+
+  if (backup.blockedSites) {
+    const sites = await getBlockedSites();
+    await saveBlockedSites([...sites, ...backup.blockedSites]);
+  }
+
+  if (backup.shortcuts) {
+    const current = await getShortcuts();
+    await saveShortcuts(
+      shortcutMode === "replace" ? backup.shortcuts : mergeShortcuts(current, backup.shortcuts)
+    );
+  }
+
+  if (backup.history) {
+    await importHistory(backup.history);
+  }
+
+  return { shortcuts: await getShortcuts() };
+}
+
+// Keeps existing shortcuts and appends imported ones whose URL isn't already present.
+function mergeShortcuts(current, imported) {
+  const urls = new Set(current.map(shortcut => shortcut.url));
+  const additions = imported.filter(shortcut => {
+    if (urls.has(shortcut.url)) return false;
+    urls.add(shortcut.url);
+    return true;
+  });
+  return [...current, ...additions];
+}
+
+async function importHistory(entries) {
+  await updateHistory(history => {
+    const known = new Set(history.map(entry => entry.id));
+    return [...history, ...entries.filter(entry => !known.has(entry.id))]
+      .sort((a, b) => a.start - b.start)
+      .slice(-MAX_HISTORY_ENTRIES);
+  });
+}
+
+async function getSettings() {
+  try {
+    const stored = await chrome.storage.local.get(SETTINGS_KEY);
+    return mergeSettings(DEFAULT_SETTINGS, stored[SETTINGS_KEY]);
+  } catch (error) {
+    return mergeSettings(DEFAULT_SETTINGS);
+  }
+}
+
+// Accepts a partial settings object; each top-level section is merged shallowly.
+async function saveSettings(patch) {
+  const current = await getSettings();
+  const updated = sanitizeSettings(mergeSettings(current, patch));
+
+  // Commitment mode and the pause budget can't be loosened from inside the focus block
+  // they protect. Moving the reset time would start a fresh budget day, so it's held too.
+  // Commitment mode also holds how blocked sites are blocked: the focus intensity and X page
+  // rules, since degrading the page or allowing every route would end the block just as well.
+  // Flowtime settings are held too: they decide how a block can end and how much break it earns.
+  if (isFocusBlockActive(await ensureState())) {
+    if (current.commitment.enabled) {
+      updated.commitment = current.commitment;
+      updated.intensity = { ...updated.intensity, focus: current.intensity.focus };
+      updated.routes = current.routes;
+      updated.flowtime = current.flowtime;
+    }
+    if (current.pauseBudget.enabled) {
+      updated.pauseBudget = current.pauseBudget;
+      updated.dailyReset = current.dailyReset;
+    }
+  }
+
+  await chrome.storage.local.set({ [SETTINGS_KEY]: updated });
+  await handleScheduleChange();
+  await handleSyncChange(current, updated);
+  return updated;
+}
+
+function mergeSettings(base, patch) {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(patch ?? {})) {
+    if (!(key in DEFAULT_SETTINGS)) continue;
+    merged[key] =
+      isPlainObject(DEFAULT_SETTINGS[key]) && isPlainObject(value)
+        ? { ...base[key], ...value }
+        : value;
+  }
+
+  return merged;
+}
+
+function sanitizeSettings(settings) {
+  return {
+    ...settings,
+    schedule: sanitizeSchedule(settings.schedule),
+    notifications: sanitizeToggles(settings.notifications, DEFAULT_SETTINGS.notifications),
+    routes: sanitizeRoutes(settings.routes),
+    intensity: {
+      focus: sanitizeIntensity(settings.intensity?.focus, "focus"),
+      break: sanitizeIntensity(settings.intensity?.break, "break")
+    },
+    redirect: sanitizeRedirect(settings.redirect),
+    presets: sanitizePresets(settings.presets),
+    flow: sanitizeFlow(settings.flow),
+    flowtime: sanitizeFlowtime(settings.flowtime),
+    dailyReset: isTimeOfDay(settings.dailyReset) ? settings.dailyReset : DEFAULT_SETTINGS.dailyReset,
+    pauseBudget: sanitizePauseBudget(settings.pauseBudget),
+    breakBudget: sanitizeBreakBudget(settings.breakBudget),
+    idleAllowance: sanitizeIdleAllowance(settings.idleAllowance),
+    commitment: sanitizeCommitment(settings.commitment),
+    sync: sanitizeToggles(settings.sync, DEFAULT_SETTINGS.sync)
+  };
+}
+
+// A missing rules list (e.g. "restore defaults" sends null) falls back to the default rules.
+function sanitizeRoutes(routes) {
+  const defaults = DEFAULT_SETTINGS.routes;
+  const byPath = new Map();
+
+  for (const rule of Array.isArray(routes?.rules) ? routes.rules : defaults.rules) {
+    const path = normalizeRoutePath(rule?.path);
+    if (!path || !ROUTE_ACTIONS.includes(rule.action)) continue;
+    // A later rule for the same path replaces the earlier one.
+    byPath.delete(path);
+    byPath.set(path, { path, action: rule.action });
+  }
+
+  return {
+    enabled: typeof routes?.enabled === "boolean" ? routes.enabled : defaults.enabled,
+    unmatched: ROUTE_ACTIONS.includes(routes?.unmatched) ? routes.unmatched : defaults.unmatched,
+    rules: [...byPath.values()].slice(0, MAX_ROUTE_RULES)
+  };
+}
+
+// "Messages/", "/messages?x=1" and "/messages" are all the same rule.
+function normalizeRoutePath(value) {
+  if (typeof value !== "string") return null;
+
+  let path = value.trim().toLowerCase().split(/[?#]/)[0];
+  if (!path.startsWith("/")) path = `/${path}`;
+  path = path.replace(/\/+/g, "/").replace(/(.)\/$/, "$1");
+
+  return /^\/[a-z0-9._~\-/]*$/.test(path) ? path : null;
+}
+
+function sanitizeIntensity(intensity, phase) {
+  const { mode, ...effects } = DEFAULT_SETTINGS.intensity[phase];
+
+  return {
+    mode: INTENSITY_MODES[phase].includes(intensity?.mode) ? intensity.mode : mode,
+    ...sanitizeToggles(intensity, effects)
+  };
+}
+
+function sanitizeIntention(value) {
+  const intention = typeof value === "string" ? value.trim().slice(0, MAX_INTENTION_LENGTH) : "";
+  return intention || null;
+}
+
+function sanitizeReflection(reflection) {
+  const rating = Math.round(Number(reflection?.rating));
+
+  return {
+    finished: reflection?.finished === true,
+    rating: rating >= 1 && rating <= 5 ? rating : null,
+    notes: typeof reflection?.notes === "string" ? reflection.notes.trim().slice(0, MAX_REFLECTION_NOTES_LENGTH) : "",
+    at: Date.now()
+  };
+}
+
+function sanitizeRedirect(redirect) {
+  const defaults = DEFAULT_SETTINGS.redirect;
+  const urls = [];
+
+  for (const value of Array.isArray(redirect?.urls) ? redirect.urls : defaults.urls) {
+    const url = normalizeRedirectUrl(value);
+    if (url && !urls.includes(url)) urls.push(url);
+  }
+
+  return {
+    urls: urls.slice(0, MAX_REDIRECT_URLS),
+    order: REDIRECT_ORDERS.includes(redirect?.order) ? redirect.order : defaults.order
+  };
+}
+
+// Only web pages; "example.com/docs" is read as https.
+function normalizeRedirectUrl(value) {
+  if (typeof value !== "string" || !value.trim()) return null;
+
+  const text = value.trim();
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:/i.test(text) ? text : `https://${text}`);
+    return url.protocol === "https:" || url.protocol === "http:" ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function sanitizeFlow(flow) {
+  const { stopAfterCycles, ...toggles } = DEFAULT_SETTINGS.flow;
+
+  return {
+    ...sanitizeToggles(flow, toggles),
+    stopAfterCycles: sanitizeLimit(flow?.stopAfterCycles, stopAfterCycles, 24)
+  };
+}
+
+// A missing items list (e.g. "restore built-in presets" sends null) brings back the built-in
+// presets and default. A null default means none is loaded on startup, which is also what
+// deleting the default preset leaves behind.
+function sanitizePresets(presets) {
+  const defaults = DEFAULT_SETTINGS.presets;
+  if (!Array.isArray(presets?.items)) return sanitizePresets(defaults);
+
+  const items = [];
+  for (const preset of presets.items) {
+    const name = typeof preset?.name === "string" ? preset.name.trim().slice(0, MAX_PRESET_NAME_LENGTH) : "";
+    if (!name) continue;
+
+    const id = typeof preset.id === "string" && preset.id ? preset.id : crypto.randomUUID();
+    if (items.some(item => item.id === id)) continue;
+
+    items.push({
+      id,
+      name,
+      focusMinutes: clampMinutes(preset.focusMinutes, DEFAULT_FOCUS_MINUTES, 180),
+      breakMinutes: clampMinutes(preset.breakMinutes, DEFAULT_BREAK_MINUTES, 120),
+      longBreakMinutes: clampMinutes(preset.longBreakMinutes, DEFAULT_LONG_BREAK_MINUTES, 120),
+      longBreakInterval: toCycleCount(preset.longBreakInterval),
+      autoStartBreak: typeof preset.autoStartBreak === "boolean" ? preset.autoStartBreak : null,
+      autoStartFocus: typeof preset.autoStartFocus === "boolean" ? preset.autoStartFocus : null
+    });
+  }
+
+  const kept = items.slice(0, MAX_PRESETS);
+  const defaultId = presets.defaultId === undefined ? defaults.defaultId : presets.defaultId;
+
+  return {
+    defaultId: kept.some(item => item.id === defaultId) ? defaultId : null,
+    items: kept
+  };
+}
+
+function clampMinutes(value, fallback, max) {
+  const parsed = Math.round(Number(value));
+  return Number.isFinite(parsed) && parsed >= 1 ? Math.min(max, parsed) : fallback;
+}
+
+function sanitizeFlowtime(flowtime) {
+  const defaults = DEFAULT_SETTINGS.flowtime;
+  const minBreakMinutes = sanitizeLimit(flowtime?.minBreakMinutes, defaults.minBreakMinutes, 120) || 1;
+  const maxBreakMinutes = sanitizeLimit(flowtime?.maxBreakMinutes, defaults.maxBreakMinutes, 120);
+
+  return {
+    enabled: typeof flowtime?.enabled === "boolean" ? flowtime.enabled : defaults.enabled,
+    breakRatio: sanitizeLimit(flowtime?.breakRatio, defaults.breakRatio, 20) || 1,
+    minBreakMinutes,
+    maxBreakMinutes: Math.max(minBreakMinutes, maxBreakMinutes)
+  };
+}
+
+function sanitizePauseBudget(budget) {
+  const defaults = DEFAULT_SETTINGS.pauseBudget;
+
+  return {
+    enabled: typeof budget?.enabled === "boolean" ? budget.enabled : defaults.enabled,
+    maxPauses: sanitizeLimit(budget?.maxPauses, defaults.maxPauses, 50),
+    maxMinutes: sanitizeLimit(budget?.maxMinutes, defaults.maxMinutes, 600)
+  };
+}
+
+// Whole numbers from 0 to `max`; anything else keeps the fallback.
+function sanitizeLimit(value, fallback, max) {
+  const parsed = Math.round(Number(value));
+  return Number.isFinite(parsed) && parsed >= 0 ? Math.min(max, parsed) : fallback;
+}
+
+function sanitizeBreakBudget(budget) {
+  const defaults = DEFAULT_SETTINGS.breakBudget;
+
+  return {
+    enabled: typeof budget?.enabled === "boolean" ? budget.enabled : defaults.enabled,
+    unit: SCROLL_UNITS.includes(budget?.unit) ? budget.unit : defaults.unit,
+    scrollLimit: sanitizeLimit(budget?.scrollLimit, defaults.scrollLimit, 1000),
+    dailyMinutes: sanitizeLimit(budget?.dailyMinutes, defaults.dailyMinutes, 600)
+  };
+}
+
+function sanitizeIdleAllowance(allowance) {
+  const defaults = DEFAULT_SETTINGS.idleAllowance;
+
+  return {
+    enabled: typeof allowance?.enabled === "boolean" ? allowance.enabled : defaults.enabled,
+    dailyMinutes: sanitizeLimit(allowance?.dailyMinutes, defaults.dailyMinutes, 600)
+  };
+}
+
+function sanitizeCommitment(commitment) {
+  const defaults = DEFAULT_SETTINGS.commitment;
+  const waitSeconds = Math.round(Number(commitment?.waitSeconds));
+  const phrase = typeof commitment?.phrase === "string" ? commitment.phrase.trim().slice(0, 200) : "";
+
+  return {
+    enabled: typeof commitment?.enabled === "boolean" ? commitment.enabled : defaults.enabled,
+    method: COMMITMENT_METHODS.includes(commitment?.method) ? commitment.method : defaults.method,
+    waitSeconds: Number.isFinite(waitSeconds)
+      ? Math.min(MAX_COMMITMENT_WAIT_SECONDS, Math.max(MIN_COMMITMENT_WAIT_SECONDS, waitSeconds))
+      : defaults.waitSeconds,
+    phrase: phrase || defaults.phrase
+  };
+}
+
+// Keeps only the known boolean flags, falling back to their defaults.
+function sanitizeToggles(values, defaults) {
+  const sanitized = {};
+  for (const [key, fallback] of Object.entries(defaults)) {
+    sanitized[key] = typeof values?.[key] === "boolean" ? values[key] : fallback;
+  }
+  return sanitized;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function sanitizeSchedule(schedule) {
+  const windows = Array.isArray(schedule?.windows) ? schedule.windows : [];
+
+  return {
+    enabled: Boolean(schedule?.enabled),
+    windows: windows.map(sanitizeScheduleWindow).filter(Boolean)
+  };
+}
+
+// Windows stay within a single day: the end must come after the start.
+function sanitizeScheduleWindow(entry) {
+  const days = [
+    ...new Set(
+      (Array.isArray(entry?.days) ? entry.days : [])
+        .map(Number)
+        .filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+    )
+  ].sort((a, b) => a - b);
+
+  if (days.length === 0) return null;
+  if (!isTimeOfDay(entry.start) || !isTimeOfDay(entry.end)) return null;
+  if (entry.end <= entry.start) return null;
+
+  return {
+    id: typeof entry.id === "string" ? entry.id : crypto.randomUUID(),
+    days,
+    start: entry.start,
+    end: entry.end
+  };
+}
+
+function isTimeOfDay(value) {
+  return typeof value === "string" && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+async function handleScheduleChange() {
+  await runExclusive(applySchedule);
+}
+
+// Starts a session when a window opens, ends it when the window closes (via
+// normalizeState), and re-arms the alarm for the next window boundary.
+async function applySchedule() {
+  const settings = await getSettings();
+  const state = await ensureState();
+  const normalized = await normalizeState(state);
+  await saveState(normalized);
+  scheduleAlarm(normalized);
+
+  if (normalized.status !== state.status || normalized.phase !== state.phase) {
+    await broadcastState(normalized);
+    await notifyTransition(state, normalized);
+  }
+
+  const now = Date.now();
+  const activeWindow = findActiveWindow(settings.schedule, now);
+  const suppressed =
+    typeof normalized.scheduleSuppressedUntil === "number" &&
+    normalized.scheduleSuppressedUntil > now;
+
+  if (activeWindow && normalized.status === "idle" && !suppressed) {
+    const started = await startSession({}, { scheduledUntil: activeWindow.end });
+    await notifyTransition(normalized, started);
+  }
+
+  scheduleBoundaryAlarm(settings.schedule, now);
+}
+
+function scheduleBoundaryAlarm(schedule, now) {
+  const next = nextScheduleBoundary(schedule, now);
+  if (next === null) {
+    chrome.alarms.clear(SCHEDULE_ALARM_NAME);
+    return;
+  }
+
+  chrome.alarms.create(SCHEDULE_ALARM_NAME, { when: next });
+}
+
+// Returns the window containing `now` (the latest-ending one if several overlap).
+function findActiveWindow(schedule, now) {
+  if (!schedule?.enabled) return null;
+
+  const date = new Date(now);
+  let active = null;
+
+  for (const entry of schedule.windows) {
+    if (!entry.days.includes(date.getDay())) continue;
+
+    const start = atTimeOfDay(date, entry.start);
+    const end = atTimeOfDay(date, entry.end);
+    if (start <= now && now < end && (!active || end > active.end)) {
+      active = { start, end };
+    }
+  }
+
+  return active;
+}
+
+function nextScheduleBoundary(schedule, now) {
+  if (!schedule?.enabled || schedule.windows.length === 0) return null;
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const date = new Date(now);
+    date.setDate(date.getDate() + offset);
+
+    let next = null;
+    for (const entry of schedule.windows) {
+      if (!entry.days.includes(date.getDay())) continue;
+
+      for (const time of [entry.start, entry.end]) {
+        const at = atTimeOfDay(date, time);
+        if (at > now && (next === null || at < next)) {
+          next = at;
+        }
+      }
+    }
+
+    if (next !== null) return next;
+  }
+
+  return null;
+}
+
+function atTimeOfDay(date, time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  const result = new Date(date);
+  result.setHours(hours, minutes, 0, 0);
+  return result.getTime();
+}
+
+// Announces the phase a live or replayed transition landed in; intermediate
+// steps of a long catch-up are not worth a notification each.
+async function notifyTransition(previous, current) {
+  const settings = await getSettings();
+  const { notifications } = settings;
+
+  const scheduleStarted =
+    previous.status === "idle" && current.status === "running" && current.scheduledUntil;
+  const scheduleEnded =
+    previous.scheduledUntil && previous.status !== "idle" && current.status === "idle";
+  const windowOver = scheduleEnded && previous.scheduledUntil <= Date.now();
+
+  // Reaching idle any other way here means the flow's cycle limit finished the session.
+  if (previous.status !== "idle" && current.status === "idle" && !windowOver) {
+    if (!notifications.breakEnd) return;
+
+    showNotification(NOTIFICATION_IDS.sessionEnd, {
+      title: "Session complete",
+      message: `You finished ${previous.cycle} focus ${previous.cycle === 1 ? "cycle" : "cycles"}. Nice work.`
+    });
+    return;
+  }
+
+  if (scheduleStarted || scheduleEnded) {
+    if (!notifications.schedule) return;
+
+    showNotification(NOTIFICATION_IDS.schedule, scheduleStarted
+      ? {
+        title: "Scheduled focus started",
+        message: `Blocking until ${formatClockTime(current.scheduledUntil)}.`,
+        buttons: [{ title: "Stop session" }]
+      }
+      : {
+        title: "Scheduled focus ended",
+        message: "The focus window is over. Enjoy the rest of your day."
+      });
+    return;
+  }
+
+  if (previous.status === "running" && current.status === "break_ready") {
+    if (!notifications.focusEnd) return;
+
+    const breakMinutes = minutesFromMs(breakMsFor(current));
+    showNotification(NOTIFICATION_IDS.focusEnd, {
+      title: "Focus complete",
+      message: isLongBreak(current)
+        ? `You earned a ${breakMinutes} minute long break.`
+        : `Time for a ${breakMinutes} minute break.`,
+      buttons: [{ title: "Start break" }, { title: "Stop session" }],
+      requireInteraction: true
+    });
+    return;
+  }
+
+  if (
+    previous.status === "running" &&
+    previous.phase === "focus" &&
+    current.status === "running" &&
+    current.phase === "break"
+  ) {
+    if (!notifications.focusEnd) return;
+
+    showNotification(NOTIFICATION_IDS.breakStart, {
+      title: "Focus complete",
+      message: `Your ${minutesFromMs(breakMsFor(current))} minute ${isLongBreak(current) ? "long break" : "break"} has started.`,
+      buttons: [{ title: "Stop session" }]
+    });
+    return;
+  }
+
+  if (current.status === "focus_ready" && previous.status !== "focus_ready") {
+    if (!notifications.breakEnd) return;
+
+    showNotification(NOTIFICATION_IDS.focusReady, {
+      title: "Break over",
+      message: `Focus cycle ${current.cycle} is ready when you are: ${describeFocusLength(current)}.`,
+      buttons: [{ title: "Start focus" }, { title: "Stop session" }],
+      requireInteraction: true
+    });
+    return;
+  }
+
+  if (
+    previous.status === "running" &&
+    previous.phase === "break" &&
+    current.status === "running" &&
+    current.phase === "focus"
+  ) {
+    if (!notifications.breakEnd) return;
+
+    showNotification(NOTIFICATION_IDS.breakEnd, {
+      title: "Break over",
+      message: `Focus cycle ${current.cycle} started: ${describeFocusLength(current)}.`,
+      buttons: [{ title: "Stop session" }]
+    });
+  }
+}
+
+function describeFocusLength(state) {
+  return state.focusMode === "flowtime" ? "flowtime, end it when you're ready" : `${state.focusMinutes} minutes`;
+}
+
+function showNotification(id, options) {
+  try {
+    chrome.notifications.create(
+      id,
+      {
+        type: "basic",
+        iconUrl: "icon.png",
+        priority: 2,
+        ...options
+      },
+      () => {
+        void chrome.runtime.lastError;
+      }
+    );
+  } catch (error) {
+    // Notifications unavailable - silently ignore
+  }
+}
+
+// Drops notifications whose buttons no longer apply to the current state.
+function clearStaleNotifications(state) {
+  if (state.status !== "break_ready") {
+    chrome.notifications.clear(NOTIFICATION_IDS.focusEnd);
+  }
+
+  if (state.status !== "focus_ready") {
+    chrome.notifications.clear(NOTIFICATION_IDS.focusReady);
+  }
+
+  if (state.status === "idle") {
+    chrome.notifications.clear(NOTIFICATION_IDS.breakEnd);
+    chrome.notifications.clear(NOTIFICATION_IDS.breakStart);
+  }
+}
+
+async function handleNotificationButton(notificationId, buttonIndex) {
+  const actions = {
+    [NOTIFICATION_IDS.focusEnd]: [startBreak, stopSession],
+    [NOTIFICATION_IDS.breakEnd]: [stopSession],
+    [NOTIFICATION_IDS.breakStart]: [stopSession],
+    [NOTIFICATION_IDS.focusReady]: [() => startSession({}), stopSession],
+    [NOTIFICATION_IDS.schedule]: [stopSession]
+  };
+
+  chrome.notifications.clear(notificationId);
+
+  const action = actions[notificationId]?.[buttonIndex];
+  if (!action) return;
+
+  try {
+    await action();
+  } catch (error) {
+    // Commitment mode refused the stop; the controls walk the user through it.
+    await showControls(null);
+  }
+}
+
+function formatClockTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+}
+
+// Cross-device sync. Each section is stored in chrome.storage.sync as a meta item plus
+// chunks small enough for the per-item quota. Every write carries a writeId so chunks
+// from two devices that wrote at once are never stitched together. Conflicts resolve
+// per section: the most recent edit wins.
+
+function runSyncTask(task) {
+  const run = syncQueue.then(task);
+  syncQueue = run.catch(() => {});
+  return run;
+}
+
+function handleStorageChange(changes, areaName) {
+  if (areaName === "local") {
+    // Content scripts apply route rules and other settings without reloading the page.
+    if (changes[SETTINGS_KEY]) {
+      getSettings().then(settings => broadcastMessage({ type: "SETTINGS_UPDATED", settings }));
+    }
+
+    if (changes[STORAGE_KEY] || changes[SETTINGS_KEY] || changes[SITES_KEY]) {
+      refreshFocusRules();
+    }
+
+    const sections = localSyncSections(changes);
+    if (sections.length === 0) return;
+
+    const endedSessionId =
+      changes[STORAGE_KEY]?.newValue?.status === "idle"
+        ? changes[STORAGE_KEY].oldValue?.sessionId ?? null
+        : null;
+    runSyncTask(() => pushSyncSections(sections, endedSessionId));
+    return;
+  }
+
+  if (areaName === "sync") {
+    const sections = new Set(
+      Object.keys(changes)
+        .filter(key => key.startsWith(SYNC_ITEM_PREFIX))
+        .map(key => key.slice(SYNC_ITEM_PREFIX.length).split(":")[0])
+    );
+    if (sections.size === 0) return;
+
+    runSyncTask(() => pullSyncSections([...sections]));
+  }
+}
+
+function localSyncSections(changes) {
+  const sections = [];
+  if (changes[STORAGE_KEY]) sections.push("durations", SYNC_SESSION_SECTION);
+  if (changes[SETTINGS_KEY]) sections.push("settings");
+  if (changes[SITES_KEY]) sections.push("blockedSites");
+  if (changes[SHORTCUTS_KEY]) sections.push("shortcuts");
+  return sections;
+}
+
+async function handleSyncChange(previous, updated) {
+  if (updated.sync.enabled && !previous.sync.enabled) {
+    await runSyncTask(performInitialSync);
+  } else if (updated.sync.enabled && updated.sync.session && !previous.sync.session) {
+    await runSyncTask(() => pushSyncSections([SYNC_SESSION_SECTION]));
+  }
+}
+
+// First sync on this device: union the lists, take the synced preferences if there
+// are any, then push the result so every device converges.
+async function performInitialSync() {
+  try {
+    const items = await chrome.storage.sync.get(null);
+
+    for (const section of SYNC_SECTIONS) {
+      const remote = assembleSyncSection(items, section);
+      if (remote == null) continue;
+
+      const local = await readLocalSection(section);
+      const merged =
+        section === "shortcuts"
+          ? mergeShortcuts(remote, local)
+          : section === "blockedSites"
+            ? [...new Set([...remote, ...local])]
+            : remote;
+
+      await applyLocalSection(section, merged);
+    }
+  } catch (error) {
+    await recordSyncResult(error);
+    return;
+  }
+
+  await pushSyncSections([...SYNC_SECTIONS, SYNC_SESSION_SECTION]);
+}
+
+async function pushSyncSections(sections, endedSessionId = null) {
+  const settings = await getSettings();
+  if (!settings.sync.enabled) return;
+
+  try {
+    for (const section of sections) {
+      if (section === SYNC_SESSION_SECTION && !settings.sync.session) continue;
+      const value = await readLocalSection(section, endedSessionId);
+      if (pulledSections.get(section) === JSON.stringify(value)) continue;
+      pulledSections.delete(section);
+      await writeSyncSection(section, value);
+    }
+    await recordSyncResult(null);
+  } catch (error) {
+    await recordSyncResult(error);
+  }
+}
+
+async function pullSyncSections(sections) {
+  const settings = await getSettings();
+  if (!settings.sync.enabled) return;
+
+  try {
+    const items = await chrome.storage.sync.get(null);
+    const syncState = await getSyncState();
+
+    for (const section of sections) {
+      if (section === SYNC_SESSION_SECTION && !settings.sync.session) continue;
+      if (section !== SYNC_SESSION_SECTION && !SYNC_SECTIONS.includes(section)) continue;
+
+      const meta = items[syncItemKey(section)];
+      const known = syncState.sections[section];
+      if (!meta || meta.deviceId === syncState.deviceId || meta.writeId === known?.writeId) {
+        continue;
+      }
+
+      // Edited here more recently than on the other device: ours wins, re-send it.
+      if (known && known.updatedAt > meta.updatedAt) {
+        await writeSyncSection(section, await readLocalSection(section));
+        continue;
+      }
+
+      const value = assembleSyncSection(items, section);
+      if (value === undefined) continue; // Remaining chunks haven't arrived yet
+
+      await updateSyncState(current => ({
+        ...current,
+        sections: {
+          ...current.sections,
+          [section]: { writeId: meta.writeId, updatedAt: meta.updatedAt }
+        }
+      }));
+      await applyLocalSection(section, value);
+      if (section !== SYNC_SESSION_SECTION) {
+        pulledSections.set(section, JSON.stringify(await readLocalSection(section)));
+      }
+    }
+    await recordSyncResult(null);
+  } catch (error) {
+    await recordSyncResult(error);
+  }
+}
+
+async function readLocalSection(section, endedSessionId = null) {
+  switch (section) {
+    case "durations": {
+      // Queued edits are this device's preference even before they take effect.
+      const state = await ensureState();
+      return resolveDurations(state, withPendingDurations(state));
+    }
+    case "settings": {
+      const { sync, ...shared } = await getSettings();
+      return shared;
+    }
+    case "blockedSites":
+      return getBlockedSites();
+    case "shortcuts":
+      return getShortcuts();
+    case SYNC_SESSION_SECTION:
+      return sessionSnapshot(await ensureState(), endedSessionId);
+    default:
+      return null;
+  }
+}
+
+async function applyLocalSection(section, value) {
+  switch (section) {
+    case "durations":
+      if (isPlainObject(value)) await setDurations(value);
+      return;
+    case "settings":
+      // The local sync toggles are kept because "sync" is never part of the payload.
+      if (isPlainObject(value)) await saveSettings(value);
+      return;
+    case "blockedSites":
+      if (Array.isArray(value)) await saveBlockedSites(value);
+      return;
+    case "shortcuts":
+      if (Array.isArray(value)) await saveShortcuts(value);
+      return;
+    case SYNC_SESSION_SECTION:
+      if (isPlainObject(value)) await applyRemoteSession(value);
+      return;
+    default:
+      return;
+  }
+}
+
+function sessionSnapshot(state, endedSessionId = null) {
+  return {
+    sessionId: state.sessionId ?? endedSessionId,
+    status: state.status,
+    phase: state.phase,
+    cycle: state.cycle,
+    cycleStart: state.cycleStart,
+    nextTransition: state.nextTransition,
+    remainingMs: state.remainingMs,
+    intention: state.intention,
+    ...resolveDurations(state)
+  };
+}
+
+// Follows a session started on another device unless this one is busy with its own.
+async function applyRemoteSession(remote) {
+  const state = await ensureState();
+  const sameSession = Boolean(state.sessionId) && state.sessionId === remote.sessionId;
+
+  if (remote.status === "idle") {
+    if (sameSession) await stopSession({ mirrored: true });
+    return;
+  }
+
+  if (!sameSession) {
+    const joinable =
+      state.status === "idle" &&
+      remote.status === "running" &&
+      remote.phase === "focus" &&
+      remote.nextTransition > Date.now();
+    if (!joinable) return;
+
+    const now = Date.now();
+    const updated = {
+      ...state,
+      ...resolveDurations(state, remote),
+      status: "running",
+      phase: "focus",
+      cycle: remote.cycle,
+      cycleStart: remote.cycleStart,
+      nextTransition: remote.nextTransition,
+      remainingMs: null,
+      sessionId: remote.sessionId,
+      segmentStart: now,
+      scheduledUntil: null,
+      intention: sanitizeIntention(remote.intention)
+    };
+
+    await saveState(updated);
+    await broadcastState(updated);
+    scheduleAlarm(updated);
+    return;
+  }
+
+  if (remote.status === "paused" && state.status === "running") {
+    await pauseSession({ mirrored: true });
+  } else if (remote.status === "running" && state.status === "paused") {
+    await resumeSession();
+  } else if (remote.status === "running" && remote.phase === "break" && state.status === "break_ready") {
+    await startBreak();
+  } else if (remote.status === "running" && remote.phase === "focus" && state.status === "focus_ready") {
+    await startSession({});
+  }
+}
+
+function syncItemKey(section, index = null) {
+  return index === null
+    ? `${SYNC_ITEM_PREFIX}${section}`
+    : `${SYNC_ITEM_PREFIX}${section}:${index}`;
+}
+
+// Returns null when the section was never synced and undefined while chunks are missing.
+function assembleSyncSection(items, section) {
+  const meta = items[syncItemKey(section)];
+  if (!meta) return null;
+
+  let json = "";
+  for (let index = 0; index < meta.chunks; index++) {
+    const chunk = items[syncItemKey(section, index)];
+    if (!chunk || chunk.writeId !== meta.writeId) return undefined;
+    json += chunk.data;
+  }
+
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+async function writeSyncSection(section, value) {
+  const items = await chrome.storage.sync.get(null);
+  const json = JSON.stringify(value);
+  const current = assembleSyncSection(items, section);
+  if (current !== undefined && JSON.stringify(current) === json) return;
+
+  const syncState = await getSyncState();
+  const writeId = crypto.randomUUID();
+  const updatedAt = Date.now();
+  const chunks = splitForSync(json, writeId);
+
+  const update = {
+    [syncItemKey(section)]: { writeId, deviceId: syncState.deviceId, updatedAt, chunks: chunks.length }
+  };
+  chunks.forEach((data, index) => {
+    update[syncItemKey(section, index)] = { writeId, data };
+  });
+
+  // One set() per section keeps us well inside the per-minute write quota.
+  await chrome.storage.sync.set(update);
+
+  const previousChunks = items[syncItemKey(section)]?.chunks ?? 0;
+  const stale = [];
+  for (let index = chunks.length; index < previousChunks; index++) {
+    stale.push(syncItemKey(section, index));
+  }
+  if (stale.length > 0) {
+    await chrome.storage.sync.remove(stale);
+  }
+
+  await updateSyncState(current => ({
+    ...current,
+    sections: { ...current.sections, [section]: { writeId, updatedAt } }
+  }));
+}
+
+// Splits on UTF-16 code units; a surrogate pair cut in two is rejoined on read.
+function splitForSync(json, writeId) {
+  const encoder = new TextEncoder();
+  const itemBytes = data => encoder.encode(JSON.stringify({ writeId, data })).length;
+  const limit = SYNC_ITEM_BYTES - 64; // Leaves room for the item key
+
+  const chunks = [];
+  let offset = 0;
+  while (offset < json.length || chunks.length === 0) {
+    let size = Math.min(json.length - offset, limit);
+    while (size > 1 && itemBytes(json.slice(offset, offset + size)) > limit) {
+      size = Math.floor(size * 0.75);
+    }
+    chunks.push(json.slice(offset, offset + size));
+    offset += size;
+  }
+  return chunks;
+}
+
+async function getSyncState() {
+  const stored = await chrome.storage.local.get(SYNC_KEY);
+  const syncState = stored[SYNC_KEY];
+  if (syncState?.deviceId) {
+    return { sections: {}, lastSyncedAt: null, error: null, ...syncState };
+  }
+
+  const created = { deviceId: crypto.randomUUID(), sections: {}, lastSyncedAt: null, error: null };
+  await chrome.storage.local.set({ [SYNC_KEY]: created });
+  return created;
+}
+
+async function updateSyncState(update) {
+  const syncState = await getSyncState();
+  await chrome.storage.local.set({ [SYNC_KEY]: update(syncState) });
+}
+
+async function recordSyncResult(error) {
+  try {
+    await updateSyncState(current => ({
+      ...current,
+      lastSyncedAt: error ? current.lastSyncedAt : Date.now(),
+      error: error ? error.message || "Sync failed" : null
+    }));
+  } catch (stateError) {
+    // Status is informational only - silently ignore
+  }
+}
+
+async function getSyncStatus() {
+  const syncState = await getSyncState();
+  let bytesInUse = null;
+  try {
+    bytesInUse = await chrome.storage.sync.getBytesInUse(null);
+  } catch (error) {
+    // Older Chrome versions without the promise form - leave usage unknown
+  }
+
+  return {
+    lastSyncedAt: syncState.lastSyncedAt,
+    error: syncState.error,
+    bytesInUse,
+    quotaBytes: chrome.storage.sync.QUOTA_BYTES ?? 102400
+  };
+}
+
+// Commitment mode. Pausing, stopping or ending a focus block early needs a challenge issued by
+// REQUEST_ESCAPE and then satisfied (countdown elapsed, phrase typed) on the actual
+// PAUSE_SESSION/STOP_SESSION/END_FOCUS message. Every attempt is logged to the events list.
+
+function pickEscapeProof(request) {
+  return { challengeId: request.challengeId, phrase: request.phrase };
+}
+
+function needsEscapeChallenge(state, settings, action) {
+  if (!settings.commitment.enabled) return false;
+  if (action === "pause") return state.status === "running" && state.phase === "focus";
+  return isFocusBlockActive(state);
+}
+
+// Returns null when the action needs no confirmation right now.
+async function requestEscape(action) {
+  if (!ESCAPE_ACTIONS.includes(action)) return null;
+
+  const [state, settings] = await Promise.all([ensureState(), getSettings()]);
+  if (!needsEscapeChallenge(state, settings, action)) return null;
+
+  // No point making the user wait out a countdown for a pause that will be refused.
+  if (action === "pause") {
+    const budget = await getPauseBudget(Date.now());
+    if (budget.enabled) assertPauseBudget(budget);
+  }
+
+  const now = Date.now();
+  const existing = await getChallenge();
+  if (
+    existing &&
+    existing.action === action &&
+    existing.sessionId === state.sessionId &&
+    now <= existing.readyAt + CHALLENGE_TTL_MS
+  ) {
+    return existing;
+  }
+
+  if (existing) {
+    await updateEvent(existing.id, { outcome: "abandoned" });
+  }
+
+  const { method, waitSeconds, phrase } = settings.commitment;
+  const challenge = {
+    id: crypto.randomUUID(),
+    action,
+    sessionId: state.sessionId,
+    issuedAt: now,
+    readyAt: method === "phrase" ? now : now + waitSeconds * 1000,
+    phrase: method === "wait" ? null : phrase
+  };
+
+  await chrome.storage.session.set({ [CHALLENGE_KEY]: challenge });
+  await appendEvent({
+    id: challenge.id,
+    type: "commitment",
+    action,
+    sessionId: state.sessionId,
+    at: now,
+    outcome: "pending", // pending | completed | cancelled | abandoned | expired | refused
+    failedTries: 0
+  });
+  return challenge;
+}
+
+async function cancelEscape(challengeId) {
+  const challenge = await getChallenge();
+  if (!challenge || challenge.id !== challengeId) return;
+
+  await chrome.storage.session.remove(CHALLENGE_KEY);
+  await updateEvent(challenge.id, { outcome: "cancelled", resolvedAt: Date.now() });
+}
+
+// Throws with a user-facing message when the proof doesn't satisfy the challenge.
+async function verifyEscape(state, action, proof) {
+  const settings = await getSettings();
+  if (!needsEscapeChallenge(state, settings, action)) return;
+
+  const now = Date.now();
+  const challenge = await getChallenge();
+
+  if (
+    !challenge ||
+    challenge.id !== proof.challengeId ||
+    challenge.action !== action ||
+    challenge.sessionId !== state.sessionId
+  ) {
+    await appendEvent({
+      id: crypto.randomUUID(),
+      type: "commitment",
+      action,
+      sessionId: state.sessionId,
+      at: now,
+      outcome: "refused",
+      failedTries: 0
+    });
+    throw new Error("Commitment mode is on - confirm from the overlay or popup");
+  }
+
+  if (now > challenge.readyAt + CHALLENGE_TTL_MS) {
+    await chrome.storage.session.remove(CHALLENGE_KEY);
+    await updateEvent(challenge.id, { outcome: "expired", resolvedAt: now });
+    throw new Error("The confirmation expired - try again");
+  }
+
+  if (now < challenge.readyAt) {
+    await updateEvent(challenge.id, event => ({ failedTries: event.failedTries + 1 }));
+    throw new Error(`Wait ${Math.ceil((challenge.readyAt - now) / 1000)}s more`);
+  }
+
+  if (challenge.phrase && normalizePhrase(proof.phrase) !== normalizePhrase(challenge.phrase)) {
+    await updateEvent(challenge.id, event => ({ failedTries: event.failedTries + 1 }));
+    throw new Error("The phrase doesn't match");
+  }
+
+  await chrome.storage.session.remove(CHALLENGE_KEY);
+  await updateEvent(challenge.id, { outcome: "completed", resolvedAt: now });
+}
+
+function normalizePhrase(value) {
+  return typeof value === "string" ? value.trim().replace(/\s+/g, " ").toLowerCase() : "";
+}
+
+async function getChallenge() {
+  const stored = await chrome.storage.session.get(CHALLENGE_KEY);
+  return stored[CHALLENGE_KEY] ?? null;
+}
+
+async function getEvents() {
+  try {
+    const stored = await chrome.storage.local.get(EVENTS_KEY);
+    return stored[EVENTS_KEY] ?? [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// The content script restores the overlay itself; this only keeps the record for the stats.
+async function recordTamper(kind, sender) {
+  const state = await ensureState();
+  if (!isFocusBlockActive(state) || !TAMPER_KINDS.includes(kind)) return false;
+
+  const now = Date.now();
+  const site = siteFromUrl(sender.tab?.url);
+  const events = await getEvents();
+  const repeat = events.some(
+    event => event.type === "tamper" && event.kind === kind && event.site === site && now - event.at < TAMPER_REPEAT_MS
+  );
+  if (repeat) return false;
+
+  await appendEvent({
+    id: crypto.randomUUID(),
+    type: "tamper",
+    kind, // removed | hidden | restyled
+    site,
+    sessionId: state.sessionId,
+    at: now
+  });
+  return true;
+}
+
+function siteFromUrl(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch (error) {
+    return null;
+  }
+}
+
+async function appendEvent(entry) {
+  try {
+    const events = await getEvents();
+    const updated = [...events, entry].slice(-MAX_EVENT_ENTRIES);
+    await chrome.storage.local.set({ [EVENTS_KEY]: updated });
+  } catch (error) {
+    // Events are best effort like history
+  }
+}
+
+// `patch` is an object or a function of the current event returning one.
+async function updateEvent(id, patch) {
+  try {
+    const events = await getEvents();
+    const updated = events.map(event =>
+      event.id === id ? { ...event, ...(typeof patch === "function" ? patch(event) : patch) } : event
+    );
+    await chrome.storage.local.set({ [EVENTS_KEY]: updated });
+  } catch (error) {
+    // Events are best effort like history
+  }
+}
+
+// Daily pause budget. Usage is kept per budget day (starting at settings.dailyReset) and
+// charged when a pause begins (count) and when it ends (minutes).
+
+async function getPauseBudget(now) {
+  const settings = await getSettings();
+  const { enabled, maxPauses, maxMinutes } = settings.pauseBudget;
+  const dayStart = budgetDayStart(now, settings.dailyReset);
+
+  const stored = await chrome.storage.local.get(PAUSE_USAGE_KEY);
+  const saved = stored[PAUSE_USAGE_KEY];
+  const usage = saved?.dayStart === dayStart ? saved : { dayStart, pauses: 0, pausedMs: 0 };
+
+  return {
+    enabled,
+    maxPauses,
+    maxMinutes,
+    usage,
+    pausesLeft: Math.max(0, maxPauses - usage.pauses),
+    msLeft: Math.max(0, maxMinutes * 60 * 1000 - usage.pausedMs),
+    resetsAt: nextBudgetDayStart(dayStart, settings.dailyReset)
+  };
+}
+
+function assertPauseBudget(budget) {
+  if (budget.pausesLeft <= 0) {
+    throw new Error("No pauses left today");
+  }
+  if (budget.msLeft <= 0) {
+    throw new Error("No pause minutes left today");
+  }
+}
+
+function describePauseBudget(budget) {
+  const { usage, ...summary } = budget;
+  return { ...summary, pausesUsed: usage.pauses, pausedMs: usage.pausedMs };
+}
+
+async function savePauseUsage(usage) {
+  await chrome.storage.local.set({ [PAUSE_USAGE_KEY]: usage });
+}
+
+// Charges the time spent in a budgeted pause to the day the pause began.
+async function settlePause(state, end) {
+  if (state.status !== "paused" || typeof state.pausedAt !== "number") return;
+
+  const budget = await getPauseBudget(state.pausedAt);
+  const pausedMs = Math.max(0, end - state.pausedAt);
+  await savePauseUsage({ ...budget.usage, pausedMs: budget.usage.pausedMs + pausedMs });
+}
+
+// The most recent reset time at or before `now`.
+function budgetDayStart(now, resetTime) {
+  const today = atTimeOfDay(new Date(now), resetTime);
+  if (today <= now) return today;
+
+  const yesterday = new Date(now);
+  yesterday.setDate(yesterday.getDate() - 1);
+  return atTimeOfDay(yesterday, resetTime);
+}
+
+function nextBudgetDayStart(dayStart, resetTime) {
+  const next = new Date(dayStart);
+  next.setDate(next.getDate() + 1);
+  return atTimeOfDay(next, resetTime);
+}
+
+// Usage limits on X. Content scripts report what they measured while the page was in front
+// of the user; totals live here so every tab draws from the same budget. The running state
+// decides what a report is charged to: a running break uses the break budget (scrolling per
+// break, time per budget day), idle time uses the daily allowance. Neither touches the timer.
+
+// Reports are capped so one misbehaving tab can't burn the whole day at once.
+async function recordUsage(report) {
+  const state = await ensureState();
+  const now = Date.now();
+  const clamp = (value, max) => Math.min(max, Math.max(0, Number(value) || 0));
+  const usage = {
+    ms: clamp(report.ms, 60 * 1000),
+    viewports: clamp(report.viewports, 500),
+    posts: clamp(report.posts, 500)
+  };
+
+  const breakBudget = isBreakRunning(state)
+    ? await chargeBreakBudget(now, state, usage)
+    : describeBreakBudget(await getBreakBudget(now, state));
+  const allowance = state.status === "idle"
+    ? await chargeIdleAllowance(now, usage)
+    : describeIdleAllowance(await getIdleAllowance(now));
+
+  return { breakBudget, allowance };
+}
+
+function isBreakRunning(state) {
+  return state.status === "running" && state.phase === "break";
+}
+
+async function getBreakBudget(now, state) {
+  const settings = await getSettings();
+  const { enabled, unit, scrollLimit, dailyMinutes } = settings.breakBudget;
+  const dayStart = budgetDayStart(now, settings.dailyReset);
+  const breakKey = isBreakRunning(state) ? `${state.sessionId}:${state.cycle}` : null;
+
+  const stored = await chrome.storage.local.get(BREAK_USAGE_KEY);
+  const saved = stored[BREAK_USAGE_KEY];
+  const sameBreak = Boolean(breakKey) && saved?.breakKey === breakKey;
+  const usage = {
+    dayStart,
+    dayMs: saved?.dayStart === dayStart ? saved.dayMs : 0,
+    breakKey,
+    viewports: sameBreak ? saved.viewports : 0,
+    posts: sameBreak ? saved.posts : 0
+  };
+
+  const scrollUsed = unit === "posts" ? usage.posts : usage.viewports;
+  const msLimit = dailyMinutes * 60 * 1000;
+  const reason =
+    scrollLimit > 0 && scrollUsed >= scrollLimit
+      ? "scroll"
+      : msLimit > 0 && usage.dayMs >= msLimit
+        ? "time"
+        : null;
+
+  return {
+    enabled,
+    unit,
+    scrollUsed,
+    scrollLimit,
+    msUsed: usage.dayMs,
+    msLimit,
+    exhausted: enabled && Boolean(reason),
+    reason,
+    usage
+  };
+}
+
+function describeBreakBudget(budget) {
+  const { usage, ...summary } = budget;
+  return summary;
+}
+
+async function chargeBreakBudget(now, state, usage) {
+  const before = await getBreakBudget(now, state);
+  if (!before.enabled) return describeBreakBudget(before);
+
+  await chrome.storage.local.set({
+    [BREAK_USAGE_KEY]: {
+      ...before.usage,
+      dayMs: before.usage.dayMs + usage.ms,
+      viewports: before.usage.viewports + usage.viewports,
+      posts: before.usage.posts + usage.posts
+    }
+  });
+
+  const after = describeBreakBudget(await getBreakBudget(now, state));
+  // Other tabs lock too, not just the one whose report used up the budget.
+  if (after.exhausted && !before.exhausted) {
+    await broadcastMessage({ type: "BREAK_BUDGET_UPDATED", budget: after });
+  }
+  return after;
+}
+
+async function getIdleAllowance(now) {
+  const settings = await getSettings();
+  const { enabled, dailyMinutes } = settings.idleAllowance;
+  const dayStart = budgetDayStart(now, settings.dailyReset);
+
+  const stored = await chrome.storage.local.get(IDLE_USAGE_KEY);
+  const saved = stored[IDLE_USAGE_KEY];
+  const usage = { dayStart, ms: saved?.dayStart === dayStart ? saved.ms : 0 };
+  const msLimit = dailyMinutes * 60 * 1000;
+
+  return {
+    enabled,
+    msUsed: usage.ms,
+    msLimit,
+    exhausted: enabled && usage.ms >= msLimit,
+    resetsAt: nextBudgetDayStart(dayStart, settings.dailyReset),
+    usage
+  };
+}
+
+function describeIdleAllowance(allowance) {
+  const { usage, ...summary } = allowance;
+  return summary;
+}
+
+async function chargeIdleAllowance(now, usage) {
+  const before = await getIdleAllowance(now);
+  if (!before.enabled) return describeIdleAllowance(before);
+
+  await chrome.storage.local.set({
+    [IDLE_USAGE_KEY]: { ...before.usage, ms: before.usage.ms + usage.ms }
+  });
+
+  const after = describeIdleAllowance(await getIdleAllowance(now));
+  if (after.exhausted && !before.exhausted) {
+    await broadcastMessage({ type: "IDLE_ALLOWANCE_UPDATED", allowance: after });
+  }
+  return after;
+}
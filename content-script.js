@@ -1,27 +1,75 @@
-// Content script that manages the blocking overlay and user controls on X.
+// Content script that manages the blocking overlay and user controls on blocked sites.
 
 const OVERLAY_ID = "x-underclass-overlay";
+const X_HOSTS = ["x.com", "twitter.com"];
+// Degrade-mode effects and the <html> class that switches each one on.
+const DEGRADE_EFFECTS = {
+  grayscale: "x-underclass-grayscale",
+  hideMedia: "x-underclass-hide-media",
+  hideMetrics: "x-underclass-hide-metrics",
+  hideFeed: "x-underclass-hide-feed"
+};
 const BREAK_BADGE_ID = "x-underclass-break-badge";
-const DEFAULT_FALLBACK_STATE = {
-  status: "idle",
-  phase: "focus",
-  focusMinutes: 25,
-  breakMinutes: 5
+// Inline !important styles on the shadow hosts; they beat anything in the page's stylesheets.
+const HOST_STYLES = {
+  all: "initial",
+  display: "block",
+  visibility: "visible",
+  opacity: "1",
+  "pointer-events": "auto"
 };
 
+// Monday-first display order; values match Date#getDay (Sunday = 0).
+const SCHEDULE_DAYS = [
+  { value: 1, label: "Mon" },
+  { value: 2, label: "Tue" },
+  { value: 3, label: "Wed" },
+  { value: 4, label: "Thu" },
+  { value: 5, label: "Fri" },
+  { value: 6, label: "Sat" },
+  { value: 0, label: "Sun" }
+];
+
 const LAST_PAYOUT_END = parseDateString("Oct 25, 2025");
 const PAYOUT_DURATION_DAYS = 14;
 const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const USAGE_REPORT_INTERVAL_MS = 5000;
+const DEFAULT_HINT = "Stay focused. You can relax post AGI";
 
 let latestState = null;
 let countdownInterval = null;
 let feedbackTimer = null;
 let userOverlayActive = false;
+// Controls opened by hand stay up even on an X route the rules allow.
+let controlsRequested = false;
+let currentPath = location.pathname;
 let overlayElements = null;
+// The overlay and the break badge each render inside a closed shadow root.
+let overlayHost = null;
+let overlayRoot = null;
+let badgeHost = null;
+let breakBadge = null;
+let tamperObserver = null;
 let isActionInProgress = false;
 let audioContext = null;
 let shortcuts = [];
+let tasks = [];
+let blockedSites = [];
+let settings = null;
 let settingsPanelVisible = false;
+let pendingChallenge = null;
+let challengeTimer = null;
+let pauseBudget = null;
+let breakBudget = null;
+let idleAllowance = null;
+let reflectionRating = null;
+let reflectionKey = null;
+// Usage on X measured since the last report to the background.
+let usageReport = { ms: 0, viewports: 0, posts: 0 };
+let lastUsageReport = Date.now();
+let lastScrollY = window.scrollY;
+let postCountQueued = false;
+const seenPosts = new WeakSet();
 
 if (document.readyState === "loading") {
   document.addEventListener("DOMContentLoaded", initialize);
@@ -35,13 +83,25 @@ window.addEventListener("beforeunload", () => {
   }
 });
 
+window.addEventListener("scroll", trackBreakScroll, { passive: true });
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "hidden") reportUsage();
+});
+
 async function initialize() {
   latestState = await requestState();
   shortcuts = await loadShortcuts();
+  tasks = (await sendMessage({ type: "GET_TASKS" }))?.tasks ?? [];
+  settings = await loadSettings();
+  watchRouteChanges();
   updateOverlay(latestState);
+  requestRedirect(latestState);
   renderBreakBadge(latestState);
   subscribeToMessages();
   startCountdownTimer();
+  loadPauseBudget();
+  loadBreakBudget();
+  loadIdleAllowance();
 }
 
 function playNotificationSound() {
@@ -82,14 +142,23 @@ function playNotificationSound() {
 }
 
 function subscribeToMessages() {
-  chrome.runtime.onMessage.addListener(message => {
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (!message?.type) return;
 
+    // Lets the background skip tabs that already run this script.
+    if (message.type === "PING") {
+      sendResponse({ loaded: true });
+      return;
+    }
+
     if (message.type === "STATE_UPDATED") {
       const previous = latestState;
       latestState = message.state ?? null;
 
       if (previous?.status !== latestState?.status || previous?.phase !== latestState?.phase) {
+        // The last break's budget doesn't apply any more; a fresh one is loaded below.
+        breakBudget = null;
+
         if (enteredBreak(previous, latestState)) {
           userOverlayActive = false;
           playNotificationSound();
@@ -103,7 +172,7 @@ function subscribeToMessages() {
           }
         }
 
-        if (latestState?.status === "break_ready") {
+        if (latestState?.status === "break_ready" || latestState?.status === "focus_ready") {
           userOverlayActive = true;
           playNotificationSound();
         }
@@ -111,6 +180,47 @@ function subscribeToMessages() {
 
       updateOverlay(latestState);
       renderBreakBadge(latestState);
+      if (settingsPanelVisible) renderBlockedSitesList();
+      loadPauseBudget();
+      loadBreakBudget();
+      loadIdleAllowance();
+      return;
+    }
+
+    if (message.type === "BREAK_BUDGET_UPDATED") {
+      applyBreakBudget(message.budget ?? null);
+      return;
+    }
+
+    if (message.type === "IDLE_ALLOWANCE_UPDATED") {
+      applyIdleAllowance(message.allowance ?? null);
+      return;
+    }
+
+    if (message.type === "TASKS_UPDATED") {
+      tasks = message.tasks ?? [];
+      if (overlayElements) renderTasks(latestState ?? DEFAULT_FALLBACK_STATE);
+      if (settingsPanelVisible) renderTasksList();
+      return;
+    }
+
+    if (message.type === "SHORTCUTS_UPDATED") {
+      shortcuts = message.shortcuts ?? [];
+      renderBreakBadge(latestState);
+      if (settingsPanelVisible) {
+        renderShortcutsList();
+      }
+      return;
+    }
+
+    if (message.type === "SETTINGS_UPDATED") {
+      settings = message.settings ?? settings;
+      updateOverlay(latestState);
+      loadBreakBudget();
+      loadIdleAllowance();
+      if (settingsPanelVisible) {
+        renderSchedule();
+      }
       return;
     }
 
@@ -119,6 +229,7 @@ function subscribeToMessages() {
         latestState = message.state;
       }
       userOverlayActive = true;
+      controlsRequested = true;
       updateOverlay(latestState ?? DEFAULT_FALLBACK_STATE);
       renderBreakBadge(latestState ?? DEFAULT_FALLBACK_STATE);
     }
@@ -157,6 +268,14 @@ function startCountdownTimer() {
   }
 
   countdownInterval = setInterval(() => {
+    // Fallback for route changes the navigation events missed.
+    checkRouteChange();
+    checkOverlayIntegrity();
+    if (document.documentElement.classList.contains(DEGRADE_EFFECTS.hideFeed)) {
+      hideForYouTab();
+    }
+    trackUsageTime();
+
     if (!latestState) {
       removeBreakBadge();
       return;
@@ -188,6 +307,8 @@ async function requestState() {
 
 function shouldDisplayOverlay(state) {
   if (!state) return userOverlayActive;
+  if (isOverlayOptional(state)) return controlsRequested;
+  if (isBreakLocked(state) || isAllowanceLocked(state)) return true;
   if (state.status === "break_ready") return true;
   if (state.status === "running" && state.phase === "focus") return true;
   if (state.status === "paused") return true;
@@ -195,8 +316,102 @@ function shouldDisplayOverlay(state) {
   return false;
 }
 
+// X is a single-page app: pushState navigations never reload the content script, so the
+// overlay is re-evaluated whenever the path changes.
+function watchRouteChanges() {
+  window.addEventListener("popstate", checkRouteChange);
+  if (window.navigation) {
+    window.navigation.addEventListener("currententrychange", checkRouteChange);
+  }
+}
+
+function checkRouteChange() {
+  if (location.pathname === currentPath) return;
+
+  currentPath = location.pathname;
+  controlsRequested = false;
+  updateOverlay(latestState);
+  requestRedirect(latestState);
+}
+
+// In redirect mode the background sends this tab elsewhere; the overlay covers the page until
+// it does, or stays if no redirect page is set. State changes are handled by the background.
+function requestRedirect(state) {
+  if (state?.status !== "running" || activeIntensity(state)?.mode !== "redirect") return;
+  sendMessage({ type: "REDIRECT_TAB" });
+}
+
+function isCurrentRouteAllowed() {
+  const routes = settings?.routes;
+  if (!routes?.enabled || !isXHost(location.hostname)) return false;
+  return resolveRouteAction(location.pathname, routes) === "allow";
+}
+
+function isXHost(hostname) {
+  return X_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+// Mirrors the background's rule format: the longest matching path prefix wins.
+function resolveRouteAction(pathname, routes) {
+  const path = pathname.toLowerCase().replace(/\/+/g, "/").replace(/(.)\/$/, "$1");
+  let match = null;
+
+  for (const rule of routes.rules) {
+    const matches = path === rule.path || path.startsWith(rule.path === "/" ? "/" : `${rule.path}/`);
+    if (matches && (!match || rule.path.length > match.path.length)) {
+      match = rule;
+    }
+  }
+
+  return match ? match.action : routes.unmatched;
+}
+
+// On allowed X routes, and during a degraded focus block, the page stays usable and the
+// overlay only shows when the controls are opened by hand.
+function isOverlayOptional(state) {
+  if (isCurrentRouteAllowed()) return true;
+  return state?.phase === "focus" && activeIntensity(state)?.mode === "degrade";
+}
+
+function activeIntensity(state) {
+  const intensity = settings?.intensity;
+  if (!intensity || !state || isCurrentRouteAllowed()) return null;
+  if (state.status !== "running" && state.status !== "paused") return null;
+  return state.phase === "focus" ? intensity.focus : intensity.break;
+}
+
+function applyIntensity(state) {
+  const intensity = activeIntensity(state);
+  const degrade = intensity?.mode === "degrade";
+
+  for (const [effect, className] of Object.entries(DEGRADE_EFFECTS)) {
+    document.documentElement.classList.toggle(className, degrade && Boolean(intensity[effect]));
+  }
+
+  if (degrade && intensity.hideFeed) {
+    hideForYouTab();
+  }
+}
+
+// The "For you" tab has no stable selector, so it is found by its label. If it is the
+// selected timeline, switch to "Following" before hiding it.
+function hideForYouTab() {
+  if (!isXHost(location.hostname)) return;
+
+  const tabs = Array.from(document.querySelectorAll('[role="tab"]'));
+  tabs.forEach(tab => {
+    if (tab.textContent.trim() !== "For you") return;
+
+    (tab.closest('[role="presentation"]') ?? tab).classList.add("x-underclass-degraded");
+    if (tab.getAttribute("aria-selected") === "true") {
+      tabs.find(other => other.textContent.trim() === "Following")?.click();
+    }
+  });
+}
+
 function updateOverlay(state) {
   const effectiveState = state ?? DEFAULT_FALLBACK_STATE;
+  applyIntensity(effectiveState);
   if (!shouldDisplayOverlay(effectiveState)) {
     removeOverlay();
     return;
@@ -212,11 +427,12 @@ function updateOverlay(state) {
 
 function ensureOverlay() {
   if (!document.body) return null;
+  if (overlayHost?.isConnected && overlayElements) return overlayElements.overlay;
 
-  let overlay = document.getElementById(OVERLAY_ID);
-  if (overlay) return overlay;
+  removeOverlayHost();
+  ({ host: overlayHost, root: overlayRoot } = createShadowHost());
 
-  overlay = document.createElement("div");
+  const overlay = document.createElement("div");
   overlay.id = OVERLAY_ID;
   overlay.innerHTML = `
     <div class="x-underclass-backdrop"></div>
@@ -232,7 +448,10 @@ function ensureOverlay() {
       </button>
       <h1 class="x-underclass-title">Focus Time</h1>
       <p class="x-underclass-status">Idle</p>
+      <p class="x-underclass-cycle hidden"></p>
       <div class="x-underclass-countdown">--:--</div>
+      <p class="x-underclass-task hidden"></p>
+      <div class="x-underclass-presets hidden"></div>
       <div class="x-underclass-form">
         <label class="x-underclass-field">
           <span>Focus</span>
@@ -242,20 +461,54 @@ function ensureOverlay() {
           <span>Break</span>
           <input id="x-underclass-break-input" type="number" min="1" max="120" required />
         </label>
+        <label class="x-underclass-field">
+          <span>Long break</span>
+          <input id="x-underclass-long-break-input" type="number" min="1" max="120" required />
+        </label>
+        <label class="x-underclass-field" title="Take the long break after this many focus cycles">
+          <span>Long every</span>
+          <input id="x-underclass-long-break-interval-input" type="number" min="1" max="12" required />
+        </label>
+      </div>
+      <p class="x-underclass-locked hidden"></p>
+      <input type="text" class="x-underclass-intention-input hidden" placeholder="What will you work on?" maxlength="120" autocomplete="off" />
+      <select class="x-underclass-task-select hidden" aria-label="Task for this focus block"></select>
+      <div class="x-underclass-reflection hidden">
+        <p class="x-underclass-reflection-title">How did that block go?</p>
+        <label class="x-underclass-toggle">
+          <input type="checkbox" class="x-underclass-reflection-finished" />
+          <span>I finished what I set out to do</span>
+        </label>
+        <div class="x-underclass-rating" role="group" aria-label="Focus rating from 1 to 5">
+          ${[1, 2, 3, 4, 5].map(rating => `<button type="button" data-rating="${rating}" aria-pressed="false">${rating}</button>`).join("")}
+        </div>
+        <textarea class="x-underclass-reflection-notes" rows="2" maxlength="500" placeholder="Notes (optional)"></textarea>
+        <button type="button" class="x-underclass-save-reflection">Save Reflection</button>
       </div>
       <div class="x-underclass-actions">
         <button type="button" class="primary" data-action="start">Start Focus</button>
         <button type="button" class="primary" data-action="start-break">Start Break</button>
+        <button type="button" class="primary" data-action="end-focus">End Focus</button>
         <button type="button" data-action="pause">Pause</button>
         <button type="button" data-action="resume">Resume</button>
         <button type="button" class="text" data-action="stop">Stop Session</button>
       </div>
+      <p class="x-underclass-budget hidden"></p>
+      <div class="x-underclass-commitment hidden">
+        <p class="x-underclass-commitment-text"></p>
+        <p class="x-underclass-commitment-phrase hidden"></p>
+        <input type="text" class="x-underclass-commitment-input hidden" placeholder="Type the phrase" autocomplete="off" spellcheck="false" />
+        <div class="x-underclass-actions">
+          <button type="button" class="primary" data-commitment="confirm">Confirm</button>
+          <button type="button" class="text" data-commitment="cancel">Keep Focusing</button>
+        </div>
+      </div>
       <p class="x-underclass-feedback" role="status" aria-live="polite"></p>
-      <p class="x-underclass-hint">Stay focused. You can relax post AGI</p>
+      <p class="x-underclass-hint">${DEFAULT_HINT}</p>
     </div>
     <div class="x-underclass-settings-panel hidden">
       <div class="x-underclass-settings-header">
-        <h2>Shortcuts</h2>
+        <h2>Settings</h2>
         <button type="button" class="x-underclass-settings-close" aria-label="Close settings">
           <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
             <path d="M2.146 2.854a.5.5 0 1 1 .708-.708L8 7.293l5.146-5.147a.5.5 0 0 1 .708.708L8.707 8l5.147 5.146a.5.5 0 0 1-.708.708L8 8.707l-5.146 5.147a.5.5 0 0 1-.708-.708L7.293 8 2.146 2.854Z"/>
@@ -263,6 +516,13 @@ function ensureOverlay() {
         </button>
       </div>
       <div class="x-underclass-settings-content">
+        <h3 class="x-underclass-section-title">Tasks</h3>
+        <div class="x-underclass-tasks-list"></div>
+        <div class="x-underclass-task-form">
+          <input type="text" class="x-underclass-task-input" placeholder="Add a task" maxlength="120" />
+          <button type="button" class="x-underclass-add-task">Add Task</button>
+        </div>
+        <h3 class="x-underclass-section-title">Shortcuts</h3>
         <div class="x-underclass-shortcuts-list"></div>
         <div class="x-underclass-shortcut-form">
           <input type="text" class="x-underclass-shortcut-name" placeholder="Name" />
@@ -275,16 +535,124 @@ function ensureOverlay() {
           </div>
           <button type="button" class="x-underclass-add-shortcut">Add Shortcut</button>
         </div>
+        <h3 class="x-underclass-section-title">Blocked sites</h3>
+        <div class="x-underclass-sites-list"></div>
+        <p class="x-underclass-sites-locked hidden">Sites can't be removed until this focus block ends.</p>
+        <div class="x-underclass-site-form">
+          <input type="text" class="x-underclass-site-input" placeholder="reddit.com" />
+          <button type="button" class="x-underclass-add-site">Add Site</button>
+        </div>
+        <h3 class="x-underclass-section-title">Schedule</h3>
+        <label class="x-underclass-toggle">
+          <input type="checkbox" class="x-underclass-schedule-enabled" />
+          <span>Start focus automatically during these windows</span>
+        </label>
+        <div class="x-underclass-schedule-list"></div>
+        <div class="x-underclass-schedule-form">
+          <div class="x-underclass-day-picker">
+            ${SCHEDULE_DAYS.map(day => `
+              <label class="x-underclass-day">
+                <input type="checkbox" value="${day.value}" ${day.value >= 1 && day.value <= 5 ? "checked" : ""} />
+                <span>${day.label}</span>
+              </label>
+            `).join("")}
+          </div>
+          <div class="x-underclass-time-range">
+            <input type="time" class="x-underclass-schedule-start" value="09:00" />
+            <span>to</span>
+            <input type="time" class="x-underclass-schedule-end" value="12:00" />
+          </div>
+          <button type="button" class="x-underclass-add-window">Add Window</button>
+        </div>
+        <h3 class="x-underclass-section-title">More</h3>
+        <button type="button" class="x-underclass-open-stats">View Focus Statistics</button>
+        <button type="button" class="x-underclass-open-stats x-underclass-open-options">All Options</button>
       </div>
     </div>
   `;
 
-  document.body.appendChild(overlay);
+  // Keys typed in the overlay would otherwise reach the page's own shortcuts via the host.
+  ["keydown", "keyup", "keypress"].forEach(type => {
+    overlay.addEventListener(type, event => event.stopPropagation());
+  });
+
+  overlayRoot.appendChild(overlay);
+  document.documentElement.appendChild(overlayHost);
   cacheOverlayElements(overlay);
   attachEventHandlers();
+  guardOverlay();
   return overlay;
 }
 
+// Attached to <html> rather than <body> so the page re-rendering its body leaves it alone.
+function createShadowHost() {
+  const host = document.createElement("div");
+  for (const [property, value] of Object.entries(HOST_STYLES)) {
+    host.style.setProperty(property, value, "important");
+  }
+
+  const root = host.attachShadow({ mode: "closed" });
+  const stylesheet = document.createElement("link");
+  stylesheet.rel = "stylesheet";
+  stylesheet.href = chrome.runtime.getURL("overlay-style.css");
+  root.appendChild(stylesheet);
+  return { host, root };
+}
+
+// A closed shadow root keeps the page's scripts and styles out of the overlay, but the host
+// can still be removed, hidden or restyled (by the page or from DevTools). While the overlay
+// should be up, any of that rebuilds it straight away; during focus it is also reported.
+function guardOverlay() {
+  tamperObserver?.disconnect();
+  tamperObserver = new MutationObserver(records => {
+    const restyled = records.some(record => record.type === "attributes");
+    checkOverlayIntegrity(restyled ? "restyled" : null);
+  });
+
+  tamperObserver.observe(document.documentElement, { childList: true });
+  tamperObserver.observe(overlayHost, { attributes: true });
+  tamperObserver.observe(overlayRoot, { childList: true });
+  tamperObserver.observe(overlayElements.overlay, { attributes: true, attributeFilter: ["id", "class", "style", "hidden"] });
+}
+
+// Also run from the once-a-second tick for styles that don't show up as mutations.
+function checkOverlayIntegrity(detected = null) {
+  if (!overlayHost) return;
+
+  const tampering = detected ?? findOverlayTampering();
+  if (!tampering) return;
+
+  if (isFocusBlockActive(latestState)) {
+    sendMessage({ type: "REPORT_TAMPER", kind: tampering });
+  }
+
+  // Rebuilding from scratch is simpler than undoing each change. A pending commitment
+  // challenge goes with it.
+  removeOverlay();
+  updateOverlay(latestState);
+}
+
+function findOverlayTampering() {
+  const overlay = overlayElements?.overlay;
+  if (!overlayHost.isConnected || !overlay || overlay.parentNode !== overlayRoot) return "removed";
+  if (overlayRoot.querySelector("link[rel='stylesheet']") === null) return "restyled";
+
+  const computed = getComputedStyle(overlayHost);
+  if (computed.display === "none" || computed.visibility !== "visible" || computed.opacity !== "1") {
+    return "hidden";
+  }
+  return null;
+}
+
+function removeOverlayHost() {
+  tamperObserver?.disconnect();
+  tamperObserver = null;
+  overlayHost?.remove();
+  overlayHost = null;
+  overlayRoot = null;
+  overlayElements = null;
+}
+
 function cacheOverlayElements(overlay) {
   overlayElements = {
     overlay,
@@ -294,20 +662,57 @@ function cacheOverlayElements(overlay) {
     settingsPanel: overlay.querySelector(".x-underclass-settings-panel"),
     settingsClose: overlay.querySelector(".x-underclass-settings-close"),
     shortcutsList: overlay.querySelector(".x-underclass-shortcuts-list"),
+    tasksList: overlay.querySelector(".x-underclass-tasks-list"),
+    taskInput: overlay.querySelector(".x-underclass-task-input"),
+    addTaskBtn: overlay.querySelector(".x-underclass-add-task"),
+    task: overlay.querySelector(".x-underclass-task"),
+    taskSelect: overlay.querySelector(".x-underclass-task-select"),
     shortcutNameInput: overlay.querySelector(".x-underclass-shortcut-name"),
     shortcutUrlInput: overlay.querySelector(".x-underclass-shortcut-url"),
     shortcutColorInput: overlay.querySelector(".x-underclass-shortcut-color"),
     addShortcutBtn: overlay.querySelector(".x-underclass-add-shortcut"),
+    sitesList: overlay.querySelector(".x-underclass-sites-list"),
+    sitesLocked: overlay.querySelector(".x-underclass-sites-locked"),
+    siteInput: overlay.querySelector(".x-underclass-site-input"),
+    addSiteBtn: overlay.querySelector(".x-underclass-add-site"),
+    openStatsBtn: overlay.querySelector(".x-underclass-open-stats"),
+    openOptionsBtn: overlay.querySelector(".x-underclass-open-options"),
+    scheduleEnabled: overlay.querySelector(".x-underclass-schedule-enabled"),
+    scheduleList: overlay.querySelector(".x-underclass-schedule-list"),
+    scheduleDays: overlay.querySelectorAll(".x-underclass-day input"),
+    scheduleStart: overlay.querySelector(".x-underclass-schedule-start"),
+    scheduleEnd: overlay.querySelector(".x-underclass-schedule-end"),
+    addWindowBtn: overlay.querySelector(".x-underclass-add-window"),
     status: overlay.querySelector(".x-underclass-status"),
+    cycle: overlay.querySelector(".x-underclass-cycle"),
     countdown: overlay.querySelector(".x-underclass-countdown"),
+    presets: overlay.querySelector(".x-underclass-presets"),
     focusInput: overlay.querySelector("#x-underclass-focus-input"),
     breakInput: overlay.querySelector("#x-underclass-break-input"),
+    longBreakInput: overlay.querySelector("#x-underclass-long-break-input"),
+    longBreakIntervalInput: overlay.querySelector("#x-underclass-long-break-interval-input"),
+    durationsLocked: overlay.querySelector(".x-underclass-locked"),
     feedback: overlay.querySelector(".x-underclass-feedback"),
+    hint: overlay.querySelector(".x-underclass-hint"),
+    intentionInput: overlay.querySelector(".x-underclass-intention-input"),
+    reflection: overlay.querySelector(".x-underclass-reflection"),
+    reflectionFinished: overlay.querySelector(".x-underclass-reflection-finished"),
+    reflectionRatings: overlay.querySelectorAll("[data-rating]"),
+    reflectionNotes: overlay.querySelector(".x-underclass-reflection-notes"),
+    saveReflectionBtn: overlay.querySelector(".x-underclass-save-reflection"),
     startButton: overlay.querySelector('[data-action="start"]'),
     startBreakButton: overlay.querySelector('[data-action="start-break"]'),
+    endFocusButton: overlay.querySelector('[data-action="end-focus"]'),
     pauseButton: overlay.querySelector('[data-action="pause"]'),
     resumeButton: overlay.querySelector('[data-action="resume"]'),
-    stopButton: overlay.querySelector('[data-action="stop"]')
+    stopButton: overlay.querySelector('[data-action="stop"]'),
+    pauseBudget: overlay.querySelector(".x-underclass-budget"),
+    commitment: overlay.querySelector(".x-underclass-commitment"),
+    commitmentText: overlay.querySelector(".x-underclass-commitment-text"),
+    commitmentPhrase: overlay.querySelector(".x-underclass-commitment-phrase"),
+    commitmentInput: overlay.querySelector(".x-underclass-commitment-input"),
+    commitmentConfirm: overlay.querySelector('[data-commitment="confirm"]'),
+    commitmentCancel: overlay.querySelector('[data-commitment="cancel"]')
   };
 }
 
@@ -326,6 +731,42 @@ function attachEventHandlers() {
     await addShortcut();
   });
 
+  overlayElements.addTaskBtn.addEventListener("click", async () => {
+    await addTask();
+  });
+
+  overlayElements.taskInput.addEventListener("keydown", async event => {
+    if (event.key === "Enter") {
+      await addTask();
+    }
+  });
+
+  overlayElements.addSiteBtn.addEventListener("click", async () => {
+    await addBlockedSite();
+  });
+
+  overlayElements.siteInput.addEventListener("keydown", async event => {
+    if (event.key === "Enter") {
+      await addBlockedSite();
+    }
+  });
+
+  overlayElements.scheduleEnabled.addEventListener("change", async () => {
+    await saveSchedule({ enabled: overlayElements.scheduleEnabled.checked });
+  });
+
+  overlayElements.addWindowBtn.addEventListener("click", async () => {
+    await addScheduleWindow();
+  });
+
+  overlayElements.openStatsBtn.addEventListener("click", () => {
+    dispatch("OPEN_STATS");
+  });
+
+  overlayElements.openOptionsBtn.addEventListener("click", () => {
+    dispatch("OPEN_OPTIONS");
+  });
+
   overlayElements.closeButton.addEventListener("click", () => {
     dismissOverlayIfAllowed();
   });
@@ -344,28 +785,52 @@ function attachEventHandlers() {
     await saveDurations();
   });
 
+  overlayElements.longBreakInput.addEventListener("change", async () => {
+    await saveDurations();
+  });
+
+  overlayElements.longBreakIntervalInput.addEventListener("change", async () => {
+    await saveDurations();
+  });
+
+  overlayElements.presets.addEventListener("click", async event => {
+    const button = event.target.closest("[data-preset]");
+    if (button) await applyPreset(button.dataset.preset);
+  });
+
   overlayElements.startButton.addEventListener("click", async () => {
     await startSession();
   });
 
+  overlayElements.intentionInput.addEventListener("keydown", async event => {
+    if (event.key === "Enter") {
+      await startSession();
+    }
+  });
+
+  overlayElements.reflectionRatings.forEach(button => {
+    button.addEventListener("click", () => {
+      const rating = Number(button.dataset.rating);
+      reflectionRating = reflectionRating === rating ? null : rating;
+      renderReflectionRating();
+    });
+  });
+
+  overlayElements.saveReflectionBtn.addEventListener("click", async () => {
+    await saveReflection();
+  });
+
   overlayElements.startBreakButton.addEventListener("click", async () => {
     await beginBreak();
   });
 
-  overlayElements.pauseButton.addEventListener("click", async () => {
-    if (isActionInProgress) return;
-    isActionInProgress = true;
-    setButtonsDisabled(true);
-
-    const state = await dispatch("PAUSE_SESSION");
-    if (state) {
-      latestState = state;
-      renderState(state);
-      renderCountdown(state);
-    }
+  // Flowtime focus ends when the user says so; the background works out the earned break.
+  overlayElements.endFocusButton.addEventListener("click", async () => {
+    await requestEscape("end");
+  });
 
-    isActionInProgress = false;
-    setButtonsDisabled(false);
+  overlayElements.pauseButton.addEventListener("click", async () => {
+    await requestEscape("pause");
   });
 
   overlayElements.resumeButton.addEventListener("click", async () => {
@@ -385,24 +850,120 @@ function attachEventHandlers() {
   });
 
   overlayElements.stopButton.addEventListener("click", async () => {
-    if (isActionInProgress) return;
-    isActionInProgress = true;
-    setButtonsDisabled(true);
+    await requestEscape("stop");
+  });
 
-    const state = await dispatch("STOP_SESSION");
-    if (state) {
-      latestState = state;
+  overlayElements.commitmentInput.addEventListener("input", renderChallenge);
+  blockPasting(overlayElements.commitmentInput);
+
+  overlayElements.commitmentConfirm.addEventListener("click", async () => {
+    if (!pendingChallenge) return;
+    await performEscape(pendingChallenge.action, {
+      challengeId: pendingChallenge.id,
+      phrase: overlayElements.commitmentInput.value
+    });
+  });
+
+  overlayElements.commitmentCancel.addEventListener("click", async () => {
+    await dismissChallenge();
+  });
+}
+
+async function requestEscape(action) {
+  if (isActionInProgress) return;
+
+  const response = await sendMessage({ type: "REQUEST_ESCAPE", action });
+  if (response?.error) {
+    showFeedback(response.error);
+    return;
+  }
+  if (!response?.challenge) {
+    await performEscape(action, {});
+    return;
+  }
+
+  showChallenge(response.challenge);
+}
+
+async function performEscape(action, proof) {
+  if (isActionInProgress) return;
+  isActionInProgress = true;
+  setButtonsDisabled(true);
+
+  const response = await sendMessage({
+    type: ESCAPES[action].type,
+    ...proof
+  });
+  const state = response?.state ?? null;
+
+  if (state) {
+    latestState = state;
+    hideChallenge();
+    if (action === "stop") {
       userOverlayActive = false;
       removeOverlay();
+    } else if (action === "end") {
+      userOverlayActive = false;
+      updateOverlay(state);
+      renderBreakBadge(state);
+    } else {
+      renderState(state);
+      renderCountdown(state);
     }
+  } else if (response?.error) {
+    showFeedback(response.error);
+  }
 
-    isActionInProgress = false;
-    setButtonsDisabled(false);
-  });
+  isActionInProgress = false;
+  setButtonsDisabled(false);
+  if (action === "pause") await loadPauseBudget();
+}
+
+function showChallenge(challenge) {
+  if (!overlayElements) return;
+
+  pendingChallenge = challenge;
+  overlayElements.commitmentInput.value = "";
+  overlayElements.commitmentText.textContent = describeChallenge(challenge);
+  overlayElements.commitmentPhrase.textContent = describeChallengePhrase(challenge);
+  toggleHidden(overlayElements.commitmentPhrase, !challenge.phrase);
+  toggleHidden(overlayElements.commitmentInput, !challenge.phrase);
+  toggleHidden(overlayElements.commitment, false);
+
+  if (challengeTimer) clearInterval(challengeTimer);
+  challengeTimer = setInterval(renderChallenge, 250);
+  renderChallenge();
+}
+
+function renderChallenge() {
+  if (!pendingChallenge || !overlayElements) return;
+
+  const confirm = describeChallengeConfirm(pendingChallenge, overlayElements.commitmentInput.value);
+  overlayElements.commitmentConfirm.textContent = confirm.label;
+  overlayElements.commitmentConfirm.disabled = confirm.disabled;
+}
+
+async function dismissChallenge() {
+  if (!pendingChallenge) return;
+
+  const { id } = pendingChallenge;
+  hideChallenge();
+  await sendMessage({ type: "CANCEL_ESCAPE", challengeId: id });
+}
+
+function hideChallenge() {
+  pendingChallenge = null;
+  if (challengeTimer) {
+    clearInterval(challengeTimer);
+    challengeTimer = null;
+  }
+  toggleHidden(overlayElements?.commitment, true);
 }
 
 function canDismissOverlay() {
   if (!latestState) return true;
+  if (isOverlayOptional(latestState)) return true;
+  if (isBreakLocked(latestState) || isAllowanceLocked(latestState)) return false;
   if (latestState.status === "running" && latestState.phase === "focus") return false;
   if (latestState.status === "paused") return false;
   if (latestState.status === "break_ready") return false;
@@ -412,6 +973,7 @@ function canDismissOverlay() {
 function dismissOverlayIfAllowed() {
   if (!canDismissOverlay()) return;
   userOverlayActive = false;
+  controlsRequested = false;
   removeOverlay();
 }
 
@@ -458,10 +1020,32 @@ function isValidDate(date) {
 function renderState(state) {
   if (!overlayElements) return;
 
-  updateInput(overlayElements.focusInput, state.focusMinutes);
-  updateInput(overlayElements.breakInput, state.breakMinutes);
+  // Edits made during focus are queued; show what the next cycle will use.
+  const durations = { ...state, ...state.pendingDurations };
+  updateInput(overlayElements.focusInput, durations.focusMinutes);
+  updateInput(overlayElements.breakInput, durations.breakMinutes);
+  updateInput(overlayElements.longBreakInput, durations.longBreakMinutes);
+  updateInput(overlayElements.longBreakIntervalInput, durations.longBreakInterval);
+
+  renderPresets(durations);
+
+  const lockMessage = describeDurationLock(state);
+  overlayElements.durationsLocked.textContent = lockMessage;
+  toggleHidden(overlayElements.durationsLocked, !lockMessage);
+  [
+    overlayElements.focusInput,
+    overlayElements.breakInput,
+    overlayElements.longBreakInput,
+    overlayElements.longBreakIntervalInput
+  ].forEach(input => {
+    input.title = lockMessage;
+  });
 
   overlayElements.status.textContent = describeState(state);
+  overlayElements.cycle.textContent = state.scheduledUntil
+    ? `${describeCycle(state)} · Scheduled until ${formatTimeOfDay(state.scheduledUntil)}`
+    : describeCycle(state);
+  toggleHidden(overlayElements.cycle, state.status === "idle");
 
   const isRunningFocus =
     state.status === "running" && state.phase === "focus";
@@ -469,24 +1053,224 @@ function renderState(state) {
   const isBreakReady = state.status === "break_ready";
   const isPaused = state.status === "paused";
   const isIdle = state.status === "idle";
+  const isFocusReady = state.status === "focus_ready";
+
+  toggleHidden(overlayElements.startButton, !isIdle && !isFocusReady);
+  toggleHidden(overlayElements.intentionInput, !isIdle && !isFocusReady);
+  updateInput(overlayElements.intentionInput, state.intention ?? "");
+  overlayElements.hint.textContent = state.intention ? `Working on: ${state.intention}` : DEFAULT_HINT;
+  renderReflection(state);
+  renderTasks(state);
+  toggleHidden(overlayElements.startBreakButton, !isBreakReady);
+  toggleHidden(overlayElements.endFocusButton, !isFlowtimeFocus(state) || (!isRunningFocus && !isPaused));
+  toggleHidden(overlayElements.pauseButton, !isRunningFocus);
+  toggleHidden(overlayElements.resumeButton, !isPaused);
+  toggleHidden(overlayElements.stopButton, isIdle && !isBreakReady && !isBreakRunning);
+  toggleHidden(overlayElements.closeButton, !canDismissOverlay());
+
+  renderPauseBudget(state);
+
+  // The focus block the confirmation was about has ended on its own.
+  if (pendingChallenge && !(state.phase === "focus" && (isRunningFocus || isPaused))) {
+    dismissChallenge();
+  }
+}
+
+// Usage limits: scrolling and time on X during a running break (break budget) and time on X
+// while idle (daily allowance) are measured here and reported to the background, which keeps
+// the totals for all tabs and says when to lock.
+function isTrackingBreak() {
+  return Boolean(
+    breakBudget?.enabled &&
+    latestState?.status === "running" &&
+    latestState.phase === "break" &&
+    isXHost(location.hostname) &&
+    !isCurrentRouteAllowed()
+  );
+}
+
+function isPageInFront() {
+  return document.visibilityState === "visible" && document.hasFocus();
+}
+
+function isTrackingIdle() {
+  return Boolean(
+    idleAllowance?.enabled &&
+    latestState?.status === "idle" &&
+    isXHost(location.hostname) &&
+    !isCurrentRouteAllowed()
+  );
+}
+
+// Like tracking, the lock covers X only; other blocked sites stay as they are while idle.
+function isAllowanceLocked(state) {
+  return Boolean(
+    idleAllowance?.exhausted && state?.status === "idle" && isXHost(location.hostname)
+  );
+}
+
+// Only X counts toward the break budget, so only X is locked once it runs out.
+function isBreakLocked(state) {
+  return Boolean(
+    breakBudget?.exhausted &&
+    state?.status === "running" &&
+    state.phase === "break" &&
+    isXHost(location.hostname)
+  );
+}
+
+function trackBreakScroll() {
+  const delta = Math.abs(window.scrollY - lastScrollY);
+  lastScrollY = window.scrollY;
+  if (!isTrackingBreak() || !isPageInFront()) return;
+
+  usageReport.viewports += delta / Math.max(1, window.innerHeight);
+
+  // Counting posts touches layout, so do it at most once per frame.
+  if (postCountQueued) return;
+  postCountQueued = true;
+  requestAnimationFrame(() => {
+    postCountQueued = false;
+    countVisiblePosts();
+  });
+}
+
+function countVisiblePosts() {
+  document.querySelectorAll('article[data-testid="tweet"]').forEach(article => {
+    if (seenPosts.has(article)) return;
+    const rect = article.getBoundingClientRect();
+    if (rect.top < window.innerHeight && rect.bottom > 0) {
+      seenPosts.add(article);
+      usageReport.posts += 1;
+    }
+  });
+}
+
+// Runs on the one-second countdown tick.
+function trackUsageTime() {
+  if ((isTrackingBreak() || isTrackingIdle()) && isPageInFront()) {
+    usageReport.ms += 1000;
+  }
+
+  if (Date.now() - lastUsageReport >= USAGE_REPORT_INTERVAL_MS) {
+    reportUsage();
+  }
+
+  // Unlock by itself once the allowance starts over.
+  if (idleAllowance?.exhausted && Date.now() >= idleAllowance.resetsAt) {
+    loadIdleAllowance();
+  }
+}
+
+async function reportUsage() {
+  lastUsageReport = Date.now();
+  const { ms, viewports, posts } = usageReport;
+  if (ms === 0 && viewports === 0 && posts === 0) return;
+
+  usageReport = { ms: 0, viewports: 0, posts: 0 };
+  const response = await sendMessage({ type: "REPORT_USAGE", ms, viewports, posts });
+  if (response?.breakBudget) applyBreakBudget(response.breakBudget);
+  if (response?.allowance) applyIdleAllowance(response.allowance);
+}
+
+async function loadBreakBudget() {
+  const response = await sendMessage({ type: "GET_BREAK_BUDGET" });
+  applyBreakBudget(response?.budget ?? null);
+}
+
+function applyBreakBudget(budget) {
+  const wasLocked = isBreakLocked(latestState);
+  breakBudget = budget;
+  if (isBreakLocked(latestState) !== wasLocked) {
+    updateOverlay(latestState);
+  }
+}
+
+async function loadIdleAllowance() {
+  const response = await sendMessage({ type: "GET_IDLE_ALLOWANCE" });
+  applyIdleAllowance(response?.allowance ?? null);
+}
+
+function applyIdleAllowance(allowance) {
+  const wasLocked = isAllowanceLocked(latestState);
+  idleAllowance = allowance;
+  if (isAllowanceLocked(latestState) !== wasLocked) {
+    updateOverlay(latestState);
+  }
+}
+
+async function loadPauseBudget() {
+  const response = await sendMessage({ type: "GET_PAUSE_BUDGET" });
+  pauseBudget = response?.budget ?? null;
+  if (latestState) renderPauseBudget(latestState);
+}
+
+function renderPauseBudget(state) {
+  if (!overlayElements) return;
+
+  const text = describePauseBudget(pauseBudget, state);
+  overlayElements.pauseBudget.textContent = text;
+  toggleHidden(overlayElements.pauseBudget, !text);
+  overlayElements.pauseButton.disabled = isActionInProgress || isPauseBudgetExhausted(pauseBudget);
+}
+
+// The background queues edits made during focus and caps cuts to the focus length.
+// One button per preset; the one matching the (queued) durations is highlighted.
+function renderPresets(durations) {
+  const presets = settings?.presets?.items ?? [];
+  toggleHidden(overlayElements.presets, presets.length === 0);
+
+  overlayElements.presets.innerHTML = presets.map(preset => `
+    <button type="button" class="text${matchesPreset(preset, durations) ? " active" : ""}"
+            data-preset="${escapeHtml(preset.id)}"
+            title="${preset.focusMinutes}/${preset.breakMinutes}, long break ${preset.longBreakMinutes} every ${preset.longBreakInterval}">
+      ${escapeHtml(preset.name)}
+    </button>
+  `).join("");
+}
+
+async function applyPreset(presetId) {
+  if (isActionInProgress) return;
+  isActionInProgress = true;
+  setButtonsDisabled(true);
+
+  const preset = settings?.presets?.items.find(item => item.id === presetId);
+  const state = await dispatch("APPLY_PRESET", { presetId });
+
+  if (state && preset) {
+    latestState = state;
+    showFeedback(isFocusBlockActive(state) ? `${preset.name} saved for the next cycle` : `${preset.name} loaded`);
+    renderState(state);
+    renderCountdown(state);
+  }
 
-  toggleHidden(overlayElements.startButton, !isIdle);
-  toggleHidden(overlayElements.startBreakButton, !isBreakReady);
-  toggleHidden(overlayElements.pauseButton, !isRunningFocus);
-  toggleHidden(overlayElements.resumeButton, !isPaused);
-  toggleHidden(overlayElements.stopButton, isIdle && !isBreakReady && !isBreakRunning);
-  toggleHidden(overlayElements.closeButton, isRunningFocus || isPaused || isBreakReady);
+  isActionInProgress = false;
+  setButtonsDisabled(false);
 }
 
 function describeState(state) {
   if (!state) return "Idle";
 
+  if (state.status === "running" && isFlowtimeFocus(state)) {
+    return "Flowtime focus - end it when you're ready";
+  }
+
   if (state.status === "running" && state.phase === "focus") {
     return "Focus session running";
   }
 
+  if (isAllowanceLocked(state)) {
+    return `Today's time on X is used up - resets at ${formatTimeOfDay(idleAllowance.resetsAt)}`;
+  }
+
+  if (isBreakLocked(state)) {
+    return breakBudget.reason === "scroll"
+      ? "Scroll budget for this break used up"
+      : "Today's break time on X is used up";
+  }
+
   if (state.status === "running" && state.phase === "break") {
-    return "Break in progress";
+    return isLongBreak(state) ? "Long break in progress" : "Break in progress";
   }
 
   if (state.status === "paused") {
@@ -494,7 +1278,13 @@ function describeState(state) {
   }
 
   if (state.status === "break_ready") {
-    return "Focus complete - you may goon";
+    return isLongBreak(state)
+      ? "Focus complete - long break earned"
+      : "Focus complete - you may goon";
+  }
+
+  if (state.status === "focus_ready") {
+    return "Break over - start focus when ready";
   }
 
   return "Idle";
@@ -510,6 +1300,7 @@ function setButtonsDisabled(disabled) {
   const buttons = [
     overlayElements.startButton,
     overlayElements.startBreakButton,
+    overlayElements.endFocusButton,
     overlayElements.pauseButton,
     overlayElements.resumeButton,
     overlayElements.stopButton
@@ -517,11 +1308,14 @@ function setButtonsDisabled(disabled) {
   buttons.forEach(btn => {
     if (btn) btn.disabled = disabled;
   });
+  if (!disabled && isPauseBudgetExhausted(pauseBudget)) {
+    overlayElements.pauseButton.disabled = true;
+  }
 }
 
 function updateInput(input, value) {
   if (!input) return;
-  if (document.activeElement === input) return;
+  if (overlayRoot?.activeElement === input) return;
   input.value = value;
 }
 
@@ -530,23 +1324,12 @@ async function saveDurations() {
   isActionInProgress = true;
   setButtonsDisabled(true);
 
-  const focusMinutes = sanitizeMinutes(
-    overlayElements.focusInput.value,
-    latestState?.focusMinutes
-  );
-  const breakMinutes = sanitizeMinutes(
-    overlayElements.breakInput.value,
-    latestState?.breakMinutes
-  );
-
-  const state = await dispatch("SET_DURATIONS", {
-    focusMinutes,
-    breakMinutes
-  });
+  const requested = readDurationInputs();
+  const state = await dispatch("SET_DURATIONS", requested);
 
   if (state) {
     latestState = state;
-    showFeedback("Durations saved");
+    showFeedback(describeDurationSave(requested, state));
     renderState(state);
     renderCountdown(state);
   }
@@ -560,18 +1343,10 @@ async function startSession() {
   isActionInProgress = true;
   setButtonsDisabled(true);
 
-  const focusMinutes = sanitizeMinutes(
-    overlayElements.focusInput.value,
-    latestState?.focusMinutes
-  );
-  const breakMinutes = sanitizeMinutes(
-    overlayElements.breakInput.value,
-    latestState?.breakMinutes
-  );
-
   const state = await dispatch("START_SESSION", {
-    focusMinutes,
-    breakMinutes
+    ...readDurationInputs(),
+    intention: overlayElements.intentionInput.value,
+    taskId: overlayElements.taskSelect.value
   });
 
   if (state) {
@@ -585,6 +1360,46 @@ async function startSession() {
   setButtonsDisabled(false);
 }
 
+// Asked once per focus block when its break is ready; Start Break works without answering.
+function renderReflection(state) {
+  const key = `${state.sessionId}:${state.cycle}`;
+  const due = state.phase === "break" && state.status !== "idle" && state.reflectedCycle !== state.cycle;
+  toggleHidden(overlayElements.reflection, !due);
+  if (!due || key === reflectionKey) return;
+
+  reflectionKey = key;
+  reflectionRating = null;
+  overlayElements.reflectionFinished.checked = false;
+  overlayElements.reflectionNotes.value = "";
+  renderReflectionRating();
+}
+
+function renderReflectionRating() {
+  overlayElements.reflectionRatings.forEach(button => {
+    button.setAttribute("aria-pressed", String(Number(button.dataset.rating) === reflectionRating));
+  });
+}
+
+async function saveReflection() {
+  const response = await sendMessage({
+    type: "SAVE_REFLECTION",
+    reflection: {
+      finished: overlayElements.reflectionFinished.checked,
+      rating: reflectionRating,
+      notes: overlayElements.reflectionNotes.value
+    }
+  });
+
+  if (!response?.state) {
+    showFeedback(response?.error ?? "Could not save reflection");
+    return;
+  }
+
+  latestState = response.state;
+  renderState(response.state);
+  showFeedback("Reflection saved");
+}
+
 async function beginBreak() {
   if (isActionInProgress) return;
   isActionInProgress = true;
@@ -602,12 +1417,25 @@ async function beginBreak() {
   setButtonsDisabled(false);
 }
 
-function sanitizeMinutes(value, fallback) {
-  const parsed = Number(value);
-  if (Number.isFinite(parsed) && parsed > 0) {
-    return Math.round(parsed);
-  }
-  return fallback ?? DEFAULT_FALLBACK_STATE.focusMinutes;
+function readDurationInputs() {
+  return {
+    focusMinutes: sanitizeMinutes(
+      overlayElements.focusInput.value,
+      latestState?.focusMinutes
+    ),
+    breakMinutes: sanitizeMinutes(
+      overlayElements.breakInput.value,
+      latestState?.breakMinutes
+    ),
+    longBreakMinutes: sanitizeMinutes(
+      overlayElements.longBreakInput.value,
+      latestState?.longBreakMinutes ?? DEFAULT_FALLBACK_STATE.longBreakMinutes
+    ),
+    longBreakInterval: sanitizeMinutes(
+      overlayElements.longBreakIntervalInput.value,
+      latestState?.longBreakInterval ?? DEFAULT_FALLBACK_STATE.longBreakInterval
+    )
+  };
 }
 
 function renderCountdown(state) {
@@ -618,37 +1446,7 @@ function renderCountdown(state) {
 
   const text = formatRemaining(state);
   countdownEl.textContent = text;
-}
-
-function formatRemaining(state) {
-  if (!state) return "--:--";
-
-  if (state.status === "paused") {
-    const remaining = state.remainingMs ?? 0;
-    return formatMs(remaining);
-  }
-
-  if (state.status === "break_ready") {
-    const remaining = state.remainingMs ?? toMs(state.breakMinutes ?? DEFAULT_FALLBACK_STATE.breakMinutes);
-    return formatMs(remaining);
-  }
-
-  if (state.status === "running" && state.nextTransition) {
-    const remaining = Math.max(0, state.nextTransition - Date.now());
-    return formatMs(remaining);
-  }
-
-  return "--:--";
-}
-
-function formatMs(ms) {
-  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
-  const minutes = Math.floor(totalSeconds / 60);
-  const seconds = totalSeconds % 60;
-  return `${String(minutes).padStart(2, "0")}:${String(seconds).padStart(
-    2,
-    "0"
-  )}`;
+  if (state) renderPauseBudget(state);
 }
 
 function showFeedback(message) {
@@ -668,11 +1466,8 @@ function showFeedback(message) {
 }
 
 function removeOverlay() {
-  const overlay = document.getElementById(OVERLAY_ID);
-  if (overlay) {
-    overlay.remove();
-  }
-  overlayElements = null;
+  hideChallenge();
+  removeOverlayHost();
   clearBlockedStyles();
 }
 
@@ -693,6 +1488,11 @@ function renderBreakBadge(state) {
     header.style.display = isOnBreak ? "flex" : "none";
 
     if (isOnBreak) {
+      const labelEl = header.querySelector(".x-underclass-badge-label");
+      if (labelEl) {
+        labelEl.textContent = isLongBreak(state) ? "Long break" : "Break";
+      }
+
       const countdownText = formatRemaining(state);
       const countdownEl = header.querySelector(".x-underclass-badge-countdown");
       if (countdownEl) {
@@ -727,11 +1527,13 @@ function renderBreakBadge(state) {
   }
 }
 
+// Rebuilt on the next tick if the page removes it.
 function ensureBreakBadge() {
-  let badge = document.getElementById(BREAK_BADGE_ID);
-  if (badge) return badge;
+  if (badgeHost?.isConnected) return breakBadge;
 
-  badge = document.createElement("div");
+  removeBreakBadge();
+  const { host, root } = createShadowHost();
+  const badge = document.createElement("div");
   badge.id = BREAK_BADGE_ID;
   badge.innerHTML = `
     <div class="x-underclass-badge-header">
@@ -745,15 +1547,17 @@ function ensureBreakBadge() {
     </div>
   `;
 
-  document.body.appendChild(badge);
+  root.appendChild(badge);
+  document.documentElement.appendChild(host);
+  badgeHost = host;
+  breakBadge = badge;
   return badge;
 }
 
 function removeBreakBadge() {
-  const badge = document.getElementById(BREAK_BADGE_ID);
-  if (badge) {
-    badge.remove();
-  }
+  badgeHost?.remove();
+  badgeHost = null;
+  breakBadge = null;
 }
 
 function applyBlockedStyles() {
@@ -766,11 +1570,6 @@ function clearBlockedStyles() {
   document.body.classList.remove("x-underclass-blocked");
 }
 
-function toMs(minutes) {
-  const parsed = Number(minutes);
-  return Math.max(1, Math.round(parsed || 0)) * 60 * 1000;
-}
-
 function dispatch(type, payload = {}) {
   return new Promise(resolve => {
     try {
@@ -787,6 +1586,22 @@ function dispatch(type, payload = {}) {
   });
 }
 
+function sendMessage(message) {
+  return new Promise(resolve => {
+    try {
+      chrome.runtime.sendMessage(message, response => {
+        if (chrome.runtime.lastError) {
+          resolve(null);
+          return;
+        }
+        resolve(response ?? null);
+      });
+    } catch (error) {
+      resolve(null);
+    }
+  });
+}
+
 async function loadShortcuts() {
   return new Promise(resolve => {
     try {
@@ -803,6 +1618,70 @@ async function loadShortcuts() {
   });
 }
 
+async function loadBlockedSites() {
+  return new Promise(resolve => {
+    try {
+      chrome.runtime.sendMessage({ type: "GET_BLOCKED_SITES" }, response => {
+        if (chrome.runtime.lastError) {
+          resolve([]);
+          return;
+        }
+        resolve(response?.sites ?? []);
+      });
+    } catch (error) {
+      resolve([]);
+    }
+  });
+}
+
+async function saveBlockedSitesToStorage(newSites) {
+  return new Promise(resolve => {
+    try {
+      chrome.runtime.sendMessage({ type: "SAVE_BLOCKED_SITES", sites: newSites }, response => {
+        if (chrome.runtime.lastError) {
+          resolve(null);
+          return;
+        }
+        resolve(response?.sites ? response : null);
+      });
+    } catch (error) {
+      resolve(null);
+    }
+  });
+}
+
+async function loadSettings() {
+  return new Promise(resolve => {
+    try {
+      chrome.runtime.sendMessage({ type: "GET_SETTINGS" }, response => {
+        if (chrome.runtime.lastError) {
+          resolve(null);
+          return;
+        }
+        resolve(response?.settings ?? null);
+      });
+    } catch (error) {
+      resolve(null);
+    }
+  });
+}
+
+async function saveSettingsToStorage(patch) {
+  return new Promise(resolve => {
+    try {
+      chrome.runtime.sendMessage({ type: "SAVE_SETTINGS", settings: patch }, response => {
+        if (chrome.runtime.lastError) {
+          resolve(null);
+          return;
+        }
+        resolve(response?.settings ?? null);
+      });
+    } catch (error) {
+      resolve(null);
+    }
+  });
+}
+
 async function saveShortcutsToStorage(newShortcuts) {
   return new Promise(resolve => {
     try {
@@ -826,8 +1705,190 @@ function toggleSettingsPanel() {
   overlayElements.settingsPanel.classList.toggle("hidden", !settingsPanelVisible);
 
   if (settingsPanelVisible) {
+    renderTasksList();
     renderShortcutsList();
+    loadBlockedSites().then(sites => {
+      blockedSites = sites;
+      renderBlockedSitesList();
+    });
+    loadSettings().then(loaded => {
+      settings = loaded;
+      renderSchedule();
+    });
+  }
+}
+
+async function saveSchedule(patch) {
+  if (!settings) return false;
+
+  const saved = await saveSettingsToStorage({
+    schedule: { ...settings.schedule, ...patch }
+  });
+  if (!saved) {
+    showFeedback("Could not save schedule");
+    return false;
+  }
+
+  settings = saved;
+  renderSchedule();
+  return true;
+}
+
+async function addScheduleWindow() {
+  if (!overlayElements || !settings) return;
+
+  const days = Array.from(overlayElements.scheduleDays)
+    .filter(input => input.checked)
+    .map(input => Number(input.value));
+  const start = overlayElements.scheduleStart.value;
+  const end = overlayElements.scheduleEnd.value;
+
+  if (days.length === 0) {
+    showFeedback("Pick at least one day");
+    return;
+  }
+
+  if (!start || !end || end <= start) {
+    showFeedback("End time must be after start time");
+    return;
+  }
+
+  const windows = [...settings.schedule.windows, { days, start, end }];
+  if (await saveSchedule({ windows })) {
+    showFeedback("Window added");
+  }
+}
+
+async function deleteScheduleWindow(id) {
+  if (!settings) return;
+
+  const windows = settings.schedule.windows.filter(entry => entry.id !== id);
+  if (await saveSchedule({ windows })) {
+    showFeedback("Window removed");
+  }
+}
+
+function renderSchedule() {
+  if (!overlayElements?.scheduleList || !settings) return;
+
+  overlayElements.scheduleEnabled.checked = settings.schedule.enabled;
+
+  const windows = settings.schedule.windows;
+  if (windows.length === 0) {
+    overlayElements.scheduleList.innerHTML = '<p class="x-underclass-no-shortcuts">No focus windows yet. Add one below!</p>';
+    return;
+  }
+
+  overlayElements.scheduleList.innerHTML = windows.map(entry => `
+    <div class="x-underclass-site-item">
+      <span class="x-underclass-site-name">${escapeHtml(formatScheduleDays(entry.days))} ${escapeHtml(entry.start)}–${escapeHtml(entry.end)}</span>
+      <button type="button" class="x-underclass-delete-shortcut" data-id="${escapeHtml(entry.id)}" aria-label="Remove window" title="Remove">
+        <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
+          <path d="M2.146 2.854a.5.5 0 1 1 .708-.708L8 7.293l5.146-5.147a.5.5 0 0 1 .708.708L8.707 8l5.147 5.146a.5.5 0 0 1-.708.708L8 8.707l-5.146 5.147a.5.5 0 0 1-.708-.708L7.293 8 2.146 2.854Z"/>
+        </svg>
+      </button>
+    </div>
+  `).join("");
+
+  const deleteButtons = overlayElements.scheduleList.querySelectorAll(".x-underclass-delete-shortcut");
+  deleteButtons.forEach(btn => {
+    btn.addEventListener("click", () => {
+      deleteScheduleWindow(btn.getAttribute("data-id"));
+    });
+  });
+}
+
+function formatScheduleDays(days) {
+  const key = [...days].sort().join(",");
+  if (key === "1,2,3,4,5") return "Mon–Fri";
+  if (key === "0,6") return "Weekends";
+  if (key === "0,1,2,3,4,5,6") return "Every day";
+
+  return SCHEDULE_DAYS
+    .filter(day => days.includes(day.value))
+    .map(day => day.label)
+    .join(", ");
+}
+
+async function addBlockedSite() {
+  if (!overlayElements) return;
+
+  const value = overlayElements.siteInput.value.trim();
+  if (!value) {
+    showFeedback("Please enter a site");
+    return;
+  }
+
+  const saved = await saveBlockedSitesToStorage([...blockedSites, value]);
+  if (!saved) {
+    showFeedback("Could not save sites");
+    return;
+  }
+
+  if (saved.sites.length === blockedSites.length) {
+    showFeedback("Site is invalid or already blocked");
+    return;
+  }
+
+  const added = saved.sites.find(site => !blockedSites.includes(site));
+  blockedSites = saved.sites;
+  overlayElements.siteInput.value = "";
+  renderBlockedSitesList();
+
+  // Only extension pages can ask for access to a new site, so hand over to the options page.
+  if (saved.needsAccess?.includes(added)) {
+    showFeedback(`Allow access to ${added} on the options page`);
+    dispatch("OPEN_OPTIONS");
+    return;
+  }
+
+  showFeedback("Site added");
+}
+
+async function deleteBlockedSite(index) {
+  const saved = await saveBlockedSitesToStorage(
+    blockedSites.filter((_, i) => i !== index)
+  );
+  if (!saved) {
+    showFeedback("Could not save sites");
+    return;
+  }
+
+  blockedSites = saved.sites;
+  renderBlockedSitesList();
+  showFeedback("Site removed");
+}
+
+function renderBlockedSitesList() {
+  if (!overlayElements?.sitesList) return;
+
+  // Mirrors the background rule: the blocklist holds for the focus block, like its length.
+  const locked = Boolean(latestState && isFocusBlockActive(latestState));
+  toggleHidden(overlayElements.sitesLocked, !locked);
+
+  if (blockedSites.length === 0) {
+    overlayElements.sitesList.innerHTML = '<p class="x-underclass-no-shortcuts">No sites blocked. Add one below!</p>';
+    return;
   }
+
+  overlayElements.sitesList.innerHTML = blockedSites.map((site, index) => `
+    <div class="x-underclass-site-item">
+      <span class="x-underclass-site-name">${escapeHtml(site)}</span>
+      <button type="button" class="x-underclass-delete-shortcut" data-index="${index}" aria-label="Remove site" title="Remove" ${locked ? "disabled" : ""}>
+        <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
+          <path d="M2.146 2.854a.5.5 0 1 1 .708-.708L8 7.293l5.146-5.147a.5.5 0 0 1 .708.708L8.707 8l5.147 5.146a.5.5 0 0 1-.708.708L8 8.707l-5.146 5.147a.5.5 0 0 1-.708-.708L7.293 8 2.146 2.854Z"/>
+        </svg>
+      </button>
+    </div>
+  `).join("");
+
+  const deleteButtons = overlayElements.sitesList.querySelectorAll(".x-underclass-delete-shortcut");
+  deleteButtons.forEach(btn => {
+    btn.addEventListener("click", () => {
+      const index = parseInt(btn.getAttribute("data-index"), 10);
+      deleteBlockedSite(index);
+    });
+  });
 }
 
 async function addShortcut() {
@@ -982,13 +2043,127 @@ function renderShortcutsList() {
 
   // Attach drag and drop handlers
   const shortcutItems = overlayElements.shortcutsList.querySelectorAll(".x-underclass-shortcut-item");
-  shortcutItems.forEach(item => {
-    item.addEventListener("dragstart", handleDragStart);
-    item.addEventListener("dragover", handleDragOver);
-    item.addEventListener("drop", handleDrop);
-    item.addEventListener("dragend", handleDragEnd);
-    item.addEventListener("dragleave", handleDragLeave);
+  shortcutItems.forEach(attachDragHandlers);
+}
+
+function attachDragHandlers(item) {
+  item.addEventListener("dragstart", handleDragStart);
+  item.addEventListener("dragover", handleDragOver);
+  item.addEventListener("drop", handleDrop);
+  item.addEventListener("dragend", handleDragEnd);
+  item.addEventListener("dragleave", handleDragLeave);
+}
+
+// Tasks: the list lives in the settings panel; a focus block can be linked to an open task when
+// it starts, and the overlay keeps that task in view. The background counts the pomodoros.
+function renderTasks(state) {
+  const openTasks = tasks.filter(task => !task.done);
+  const canStart = state.status === "idle" || state.status === "focus_ready";
+  const select = overlayElements.taskSelect;
+
+  if (overlayRoot?.activeElement !== select) {
+    const selected = openTasks.some(task => task.id === select.value) ? select.value : state.taskId ?? "";
+    select.innerHTML = `<option value="">No task</option>${openTasks.map(task => `
+      <option value="${escapeHtml(task.id)}">${escapeHtml(task.title)}</option>
+    `).join("")}`;
+    select.value = openTasks.some(task => task.id === selected) ? selected : "";
+  }
+  toggleHidden(select, !canStart || openTasks.length === 0);
+
+  const task = tasks.find(item => item.id === state.taskId);
+  overlayElements.task.textContent = task
+    ? `Task: ${task.title} · ${describePomodoros(task.pomodoros)} so far`
+    : "";
+  toggleHidden(overlayElements.task, !task || state.status === "idle");
+}
+
+function renderTasksList() {
+  if (!overlayElements?.tasksList) return;
+
+  if (tasks.length === 0) {
+    overlayElements.tasksList.innerHTML = '<p class="x-underclass-no-shortcuts">No tasks yet. Add one below!</p>';
+    return;
+  }
+
+  overlayElements.tasksList.innerHTML = tasks.map((task, index) => `
+    <div class="x-underclass-task-item${task.done ? " x-underclass-task-done" : ""}" data-index="${index}" draggable="true">
+      <div class="x-underclass-drag-handle" title="Drag to reorder">
+        <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
+          <path d="M5 3.5a1.5 1.5 0 1 1-3 0 1.5 1.5 0 0 1 3 0zm0 5a1.5 1.5 0 1 1-3 0 1.5 1.5 0 0 1 3 0zm0 5a1.5 1.5 0 1 1-3 0 1.5 1.5 0 0 1 3 0zm5-10a1.5 1.5 0 1 1-3 0 1.5 1.5 0 0 1 3 0zm0 5a1.5 1.5 0 1 1-3 0 1.5 1.5 0 0 1 3 0zm0 5a1.5 1.5 0 1 1-3 0 1.5 1.5 0 0 1 3 0z"/>
+        </svg>
+      </div>
+      <label class="x-underclass-task-label">
+        <input type="checkbox" data-index="${index}" ${task.done ? "checked" : ""} />
+        <span>${escapeHtml(task.title)}</span>
+      </label>
+      <span class="x-underclass-task-count" title="${describePomodoros(task.pomodoros)}">${task.pomodoros}</span>
+      <button type="button" class="x-underclass-delete-task" data-index="${index}" aria-label="Delete task" title="Delete">
+        <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
+          <path d="M5.5 5.5A.5.5 0 0 1 6 6v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5zm2.5 0a.5.5 0 0 1 .5.5v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5zm3 .5a.5.5 0 0 0-1 0v6a.5.5 0 0 0 1 0V6z"/>
+          <path fill-rule="evenodd" d="M14.5 3a1 1 0 0 1-1 1H13v9a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V4h-.5a1 1 0 0 1-1-1V2a1 1 0 0 1 1-1H6a1 1 0 0 1 1-1h2a1 1 0 0 1 1 1h3.5a1 1 0 0 1 1 1v1zM4.118 4 4 4.059V13a1 1 0 0 0 1 1h6a1 1 0 0 0 1-1V4.059L11.882 4H4.118zM2.5 3V2h11v1h-11z"/>
+        </svg>
+      </button>
+    </div>
+  `).join("");
+
+  overlayElements.tasksList.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+    checkbox.addEventListener("change", () => {
+      const index = parseInt(checkbox.getAttribute("data-index"), 10);
+      completeTask(index, checkbox.checked);
+    });
+  });
+
+  overlayElements.tasksList.querySelectorAll(".x-underclass-delete-task").forEach(btn => {
+    btn.addEventListener("click", () => {
+      const index = parseInt(btn.getAttribute("data-index"), 10);
+      deleteTask(index);
+    });
   });
+
+  overlayElements.tasksList.querySelectorAll(".x-underclass-task-item").forEach(attachDragHandlers);
+}
+
+async function addTask() {
+  const title = overlayElements.taskInput.value.trim();
+  if (!title) {
+    showFeedback("Please enter a task");
+    return;
+  }
+
+  if (await saveTasksToStorage([...tasks, { title }])) {
+    overlayElements.taskInput.value = "";
+    showFeedback("Task added");
+  }
+}
+
+async function completeTask(index, done) {
+  const updated = tasks.map((task, i) => (i === index ? { ...task, done, completedAt: null } : task));
+  if (await saveTasksToStorage(updated)) {
+    showFeedback(done ? "Task completed" : "Task reopened");
+  }
+}
+
+async function deleteTask(index) {
+  if (await saveTasksToStorage(tasks.filter((_, i) => i !== index))) {
+    showFeedback("Task deleted");
+  }
+}
+
+function reorderTasks(fromIndex, toIndex) {
+  saveTasksToStorage(moveItem(tasks, fromIndex, toIndex));
+}
+
+async function saveTasksToStorage(newTasks) {
+  const response = await sendMessage({ type: "SAVE_TASKS", tasks: newTasks });
+  if (!response?.tasks) {
+    showFeedback("Could not save tasks");
+    return false;
+  }
+
+  tasks = response.tasks;
+  renderTasksList();
+  if (latestState) renderTasks(latestState);
+  return true;
 }
 
 function enterEditMode(index) {
@@ -1101,12 +2276,14 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
-// Drag and drop state
+// Drag and drop state; items can only be dropped within the list they came from.
 let draggedItemIndex = null;
+let draggedList = null;
 
 function handleDragStart(e) {
   const item = e.currentTarget;
   draggedItemIndex = parseInt(item.getAttribute("data-index"), 10);
+  draggedList = item.parentElement;
 
   item.classList.add("x-underclass-dragging");
   e.dataTransfer.effectAllowed = "move";
@@ -1120,7 +2297,7 @@ function handleDragOver(e) {
   const item = e.currentTarget;
   const targetIndex = parseInt(item.getAttribute("data-index"), 10);
 
-  if (draggedItemIndex === null || draggedItemIndex === targetIndex) {
+  if (draggedItemIndex === null || draggedList !== item.parentElement || draggedItemIndex === targetIndex) {
     return;
   }
 
@@ -1141,22 +2318,17 @@ function handleDrop(e) {
 
   item.classList.remove("x-underclass-drag-over");
 
-  if (draggedItemIndex === null || draggedItemIndex === targetIndex) {
+  if (draggedItemIndex === null || draggedList !== item.parentElement || draggedItemIndex === targetIndex) {
     return;
   }
 
-  // Reorder the shortcuts array
-  const draggedItem = shortcuts[draggedItemIndex];
-  const newShortcuts = [...shortcuts];
-
-  // Remove the dragged item
-  newShortcuts.splice(draggedItemIndex, 1);
-
-  // Insert at the new position
-  newShortcuts.splice(targetIndex, 0, draggedItem);
+  if (draggedList === overlayElements?.tasksList) {
+    reorderTasks(draggedItemIndex, targetIndex);
+    return;
+  }
 
   // Update and save
-  shortcuts = newShortcuts;
+  shortcuts = moveItem(shortcuts, draggedItemIndex, targetIndex);
   saveShortcutsToStorage(shortcuts).then(saved => {
     shortcuts = saved;
     renderShortcutsList();
@@ -1164,15 +2336,23 @@ function handleDrop(e) {
   });
 }
 
+function moveItem(items, fromIndex, toIndex) {
+  const moved = [...items];
+  const [item] = moved.splice(fromIndex, 1);
+  moved.splice(toIndex, 0, item);
+  return moved;
+}
+
 function handleDragEnd(e) {
   const item = e.currentTarget;
   item.classList.remove("x-underclass-dragging");
 
   // Clean up all drag-over classes
-  const allItems = overlayElements?.shortcutsList?.querySelectorAll(".x-underclass-shortcut-item");
+  const allItems = draggedList?.querySelectorAll(":scope > [draggable]");
   if (allItems) {
     allItems.forEach(i => i.classList.remove("x-underclass-drag-over"));
   }
 
   draggedItemIndex = null;
+  draggedList = null;
 }
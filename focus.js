@@ -0,0 +1,101 @@
+// Page that blocked sites are redirected to while a focus block is running.
+
+// The redirect rule puts the blocked URL in the hash, unencoded.
+const blockedUrl = readBlockedUrl();
+
+let latestState = null;
+
+document.addEventListener("DOMContentLoaded", initialize);
+
+async function initialize() {
+  document.getElementById("return").addEventListener("click", returnToBlockedUrl);
+  document.getElementById("open-stats").addEventListener("click", () => {
+    sendMessage({ type: "OPEN_STATS" });
+  });
+  document.getElementById("open-options").addEventListener("click", () => {
+    sendMessage({ type: "OPEN_OPTIONS" });
+  });
+
+  if (blockedUrl) {
+    const blocked = document.getElementById("blocked");
+    blocked.textContent = `${blockedUrl.hostname.replace(/^www\./, "")} is blocked until your break.`;
+    blocked.classList.remove("hidden");
+    document.getElementById("return").textContent = `Continue to ${blockedUrl.hostname.replace(/^www\./, "")}`;
+  }
+
+  const response = await sendMessage({ type: "GET_STATE" });
+  render(response?.state ?? DEFAULT_FALLBACK_STATE);
+
+  chrome.runtime.onMessage.addListener(message => {
+    if (message?.type === "STATE_UPDATED" && message.state) {
+      render(message.state);
+    }
+  });
+
+  setInterval(() => renderCountdown(latestState), 1000);
+}
+
+function render(state) {
+  latestState = state;
+
+  // Once the break starts the site is allowed again, so the tab goes back by itself.
+  if (blockedUrl && state.status === "running" && state.phase === "break") {
+    returnToBlockedUrl();
+    return;
+  }
+
+  const isFocusRunning = state.status === "running" && state.phase === "focus";
+  document.getElementById("status").textContent = describeState(state);
+  document.getElementById("cycle").textContent = describeCycle(state);
+  document.getElementById("cycle").classList.toggle("hidden", state.status === "idle");
+  document.getElementById("return").classList.toggle("hidden", !blockedUrl || isFocusRunning);
+  renderCountdown(state);
+}
+
+function renderCountdown(state) {
+  document.getElementById("countdown").textContent = formatRemaining(state);
+}
+
+function returnToBlockedUrl() {
+  if (blockedUrl) location.replace(blockedUrl.href);
+}
+
+// The rule's regexSubstitution can't percent-encode what it captures, so the hash holds the
+// blocked URL exactly as requested. That URL is already escaped: decoding it here would turn
+// sequences such as %2520 into a different address, so it is parsed as-is.
+function readBlockedUrl() {
+  try {
+    const url = new URL(location.hash.slice(1));
+    return url.protocol === "https:" || url.protocol === "http:" ? url : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function describeState(state) {
+  if (state.status === "running" && state.phase === "focus") {
+    return isFlowtimeFocus(state) ? "Flowtime focus - end it when you're ready" : "Focus session running";
+  }
+
+  if (state.status === "paused") return "Session paused";
+  if (state.status === "break_ready") return "Focus complete - start your break";
+  if (state.status === "focus_ready") return "Break over - start focus when ready";
+  if (state.status === "running") return "Break in progress";
+  return "Idle";
+}
+
+function sendMessage(message) {
+  return new Promise(resolve => {
+    try {
+      chrome.runtime.sendMessage(message, response => {
+        if (chrome.runtime.lastError) {
+          resolve(null);
+          return;
+        }
+        resolve(response ?? null);
+      });
+    } catch (error) {
+      resolve(null);
+    }
+  });
+}
@@ -0,0 +1,1214 @@
+// Options page for durations, blocked sites, blocking intensity, X page rules, break shortcuts,
+// the focus schedule, commitment mode, daily limits, notifications, keyboard shortcuts, sync
+// and backups.
+
+const DEFAULT_SHORTCUT_COLOR = "#1da1f2";
+
+// Monday-first display order; values match Date#getDay (Sunday = 0).
+const SCHEDULE_DAYS = [
+  { value: 1, label: "Mon" },
+  { value: 2, label: "Tue" },
+  { value: 3, label: "Wed" },
+  { value: 4, label: "Thu" },
+  { value: 5, label: "Fri" },
+  { value: 6, label: "Sat" },
+  { value: 0, label: "Sun" }
+];
+
+let latestState = null;
+let settings = null;
+let blockedSites = [];
+let sitesNeedingAccess = [];
+let shortcuts = [];
+let feedbackTimer = null;
+let pendingImport = null;
+
+document.addEventListener("DOMContentLoaded", initialize);
+
+async function initialize() {
+  renderDayPicker();
+  attachEventHandlers();
+  await loadAll();
+  await renderCommands();
+
+  // Shortcuts are edited on a Chrome page; pick up changes when the user comes back.
+  window.addEventListener("focus", renderCommands);
+
+  chrome.runtime.onMessage.addListener(message => {
+    if (message?.type === "STATE_UPDATED" && message.state) {
+      latestState = message.state;
+      renderDurations();
+      renderSites();
+      renderIntensity();
+      renderRoutes();
+      renderCommitment();
+      renderLimits();
+    }
+  });
+
+  // Pulled changes from other devices land in local storage; reload so the page isn't stale.
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== "local") return;
+    if (changes.xUnderclassSync) {
+      renderSyncStatus();
+    }
+    if (changes.xUnderclassSettings || changes.xUnderclassBlockedSites || changes.xUnderclassShortcuts) {
+      loadAll();
+    }
+  });
+}
+
+async function loadAll() {
+  const [stateResponse, settingsResponse, sitesResponse, shortcutsResponse] = await Promise.all([
+    sendMessage({ type: "GET_STATE" }),
+    sendMessage({ type: "GET_SETTINGS" }),
+    sendMessage({ type: "GET_BLOCKED_SITES" }),
+    sendMessage({ type: "GET_SHORTCUTS" })
+  ]);
+
+  latestState = stateResponse?.state ?? null;
+  settings = settingsResponse?.settings ?? null;
+  blockedSites = sitesResponse?.sites ?? [];
+  sitesNeedingAccess = sitesResponse?.needsAccess ?? [];
+  shortcuts = shortcutsResponse?.shortcuts ?? [];
+
+  renderDurations();
+  renderFlow();
+  renderFlowtime();
+  renderPresets();
+  renderSites();
+  renderIntensity();
+  renderRedirect();
+  renderRoutes();
+  renderShortcuts();
+  renderSchedule();
+  renderCommitment();
+  renderLimits();
+  renderNotifications();
+  renderSync();
+  await renderSyncStatus();
+}
+
+function attachEventHandlers() {
+  ["focus-input", "break-input", "long-break-input", "long-break-interval-input"].forEach(id => {
+    document.getElementById(id).addEventListener("change", saveDurations);
+  });
+
+  ["flow-auto-break", "flow-auto-focus", "flow-stop-after"].forEach(id => {
+    document.getElementById(id).addEventListener("change", saveFlow);
+  });
+
+  ["flowtime-enabled", "flowtime-ratio", "flowtime-min", "flowtime-max"].forEach(id => {
+    document.getElementById(id).addEventListener("change", saveFlowtime);
+  });
+
+  document.getElementById("preset-form").addEventListener("submit", async event => {
+    event.preventDefault();
+    await addPreset();
+  });
+
+  document.getElementById("presets-default").addEventListener("change", async event => {
+    await savePresets({ defaultId: event.target.value || null }, "Default preset updated");
+  });
+
+  document.getElementById("presets-reset").addEventListener("click", async () => {
+    // The background falls back to the built-in presets when none are given.
+    await savePresets({ items: null }, "Built-in presets restored");
+  });
+
+  document.getElementById("site-form").addEventListener("submit", async event => {
+    event.preventDefault();
+    await addSite();
+  });
+
+  document.querySelectorAll("[data-intensity]").forEach(input => {
+    input.addEventListener("change", () => saveIntensity(input.dataset.intensity));
+  });
+
+  document.getElementById("redirect-form").addEventListener("submit", async event => {
+    event.preventDefault();
+    await addRedirectUrl();
+  });
+
+  document.getElementById("redirect-order").addEventListener("change", async event => {
+    await saveRedirect({ order: event.target.value }, "Redirect order updated");
+  });
+
+  document.getElementById("route-form").addEventListener("submit", async event => {
+    event.preventDefault();
+    await addRouteRule();
+  });
+
+  document.getElementById("routes-enabled").addEventListener("change", async event => {
+    await saveRoutes({ enabled: event.target.checked }, "X page rules updated");
+  });
+
+  document.getElementById("routes-unmatched").addEventListener("change", async event => {
+    await saveRoutes({ unmatched: event.target.value }, "X page rules updated");
+  });
+
+  document.getElementById("routes-reset").addEventListener("click", async () => {
+    // The background falls back to the default rules when none are given.
+    await saveRoutes({ rules: null }, "Default rules restored");
+  });
+
+  document.getElementById("shortcut-form").addEventListener("submit", async event => {
+    event.preventDefault();
+    await addShortcut();
+  });
+
+  document.getElementById("schedule-enabled").addEventListener("change", async event => {
+    await saveSchedule({ enabled: event.target.checked }, "Schedule updated");
+  });
+
+  document.getElementById("schedule-form").addEventListener("submit", async event => {
+    event.preventDefault();
+    await addScheduleWindow();
+  });
+
+  ["commitment-enabled", "commitment-method", "commitment-wait", "commitment-phrase"].forEach(id => {
+    document.getElementById(id).addEventListener("change", saveCommitment);
+  });
+
+  [
+    "daily-reset",
+    "pause-budget-enabled",
+    "pause-budget-pauses",
+    "pause-budget-minutes",
+    "break-budget-enabled",
+    "break-budget-scroll",
+    "break-budget-unit",
+    "break-budget-minutes",
+    "idle-allowance-enabled",
+    "idle-allowance-minutes"
+  ].forEach(id => {
+    document.getElementById(id).addEventListener("change", saveLimits);
+  });
+
+  document.querySelectorAll("[data-notification]").forEach(input => {
+    input.addEventListener("change", saveNotifications);
+  });
+
+  document.querySelectorAll("[data-sync]").forEach(input => {
+    input.addEventListener("change", saveSync);
+  });
+
+  document.getElementById("export-data").addEventListener("click", exportData);
+
+  document.getElementById("import-data").addEventListener("click", () => {
+    document.getElementById("import-file").click();
+  });
+
+  document.getElementById("import-file").addEventListener("change", async event => {
+    const [file] = event.target.files;
+    event.target.value = "";
+    if (file) await previewImport(file);
+  });
+
+  document.getElementById("confirm-import").addEventListener("click", confirmImport);
+  document.getElementById("cancel-import").addEventListener("click", hideImportPreview);
+
+  // Extension pages can't link to chrome:// URLs, but they can open them in a tab.
+  document.getElementById("edit-commands").addEventListener("click", () => {
+    chrome.tabs.create({ url: "chrome://extensions/shortcuts" });
+  });
+
+  document.getElementById("open-stats").addEventListener("click", () => {
+    sendMessage({ type: "OPEN_STATS" });
+  });
+}
+
+// Timer
+
+function renderDurations() {
+  if (!latestState) return;
+
+  // Edits made during focus are queued; show what the next cycle will use.
+  const durations = { ...latestState, ...latestState.pendingDurations };
+  updateInput("focus-input", durations.focusMinutes);
+  updateInput("break-input", durations.breakMinutes);
+  updateInput("long-break-input", durations.longBreakMinutes);
+  updateInput("long-break-interval-input", durations.longBreakInterval);
+
+  const note = document.getElementById("durations-locked");
+  note.textContent = describeDurationLock(latestState);
+  note.classList.toggle("hidden", !isFocusBlockActive(latestState));
+}
+
+function renderFlow() {
+  if (!settings) return;
+
+  const { autoStartBreak, autoStartFocus, stopAfterCycles } = settings.flow;
+  document.getElementById("flow-auto-break").checked = autoStartBreak;
+  document.getElementById("flow-auto-focus").checked = autoStartFocus;
+  updateInput("flow-stop-after", stopAfterCycles);
+}
+
+async function saveFlow() {
+  if (!settings) return;
+
+  const flow = {
+    autoStartBreak: document.getElementById("flow-auto-break").checked,
+    autoStartFocus: document.getElementById("flow-auto-focus").checked,
+    stopAfterCycles: readCount("flow-stop-after") ?? settings.flow.stopAfterCycles
+  };
+
+  await saveSettings({ flow }, "Timer flow updated");
+  renderFlow();
+}
+
+function renderFlowtime() {
+  if (!settings) return;
+
+  const { enabled, breakRatio, minBreakMinutes, maxBreakMinutes } = settings.flowtime;
+  document.getElementById("flowtime-enabled").checked = enabled;
+  updateInput("flowtime-ratio", breakRatio);
+  updateInput("flowtime-min", minBreakMinutes);
+  updateInput("flowtime-max", maxBreakMinutes);
+}
+
+async function saveFlowtime() {
+  if (!settings) return;
+
+  const flowtime = {
+    enabled: document.getElementById("flowtime-enabled").checked,
+    breakRatio: readNumber("flowtime-ratio") ?? settings.flowtime.breakRatio,
+    minBreakMinutes: readNumber("flowtime-min") ?? settings.flowtime.minBreakMinutes,
+    maxBreakMinutes: readNumber("flowtime-max") ?? settings.flowtime.maxBreakMinutes
+  };
+
+  await saveSettings({ flowtime }, "Flowtime updated");
+  renderFlowtime();
+}
+
+function renderPresets() {
+  if (!settings) return;
+
+  const { items, defaultId } = settings.presets;
+  const list = document.getElementById("presets-list");
+  const defaultSelect = document.getElementById("presets-default");
+
+  defaultSelect.innerHTML = [
+    '<option value="">None</option>',
+    ...items.map(preset => `<option value="${escapeHtml(preset.id)}">${escapeHtml(preset.name)}</option>`)
+  ].join("");
+  defaultSelect.value = defaultId ?? "";
+
+  if (items.length === 0) {
+    list.innerHTML = '<li class="options-empty">No presets yet. Save the timer above as one.</li>';
+    return;
+  }
+
+  list.innerHTML = items.map((preset, index) => `
+    <li>
+      <span class="options-grow">
+        ${escapeHtml(preset.name)}
+        <span class="options-muted">${escapeHtml(describePreset(preset))}</span>
+      </span>
+      <button type="button" class="icon" data-load="${index}">Load</button>
+      <button type="button" class="danger icon" data-index="${index}">Remove</button>
+    </li>
+  `).join("");
+
+  list.querySelectorAll("button[data-load]").forEach(btn => {
+    btn.addEventListener("click", async () => {
+      const preset = items[parseInt(btn.getAttribute("data-load"), 10)];
+      const response = await sendMessage({ type: "APPLY_PRESET", presetId: preset.id });
+      if (!response?.state) {
+        showFeedback(response?.error ?? "Could not load preset");
+        return;
+      }
+      latestState = response.state;
+      renderDurations();
+      showFeedback(isFocusBlockActive(latestState) ? `${preset.name} saved for the next cycle` : `${preset.name} loaded`);
+    });
+  });
+
+  list.querySelectorAll("button[data-index]").forEach(btn => {
+    btn.addEventListener("click", async () => {
+      const index = parseInt(btn.getAttribute("data-index"), 10);
+      await savePresets({ items: items.filter((_, i) => i !== index) }, "Preset removed");
+    });
+  });
+}
+
+function describePreset(preset) {
+  const parts = [
+    `${preset.focusMinutes}/${preset.breakMinutes}`,
+    `long ${preset.longBreakMinutes} every ${preset.longBreakInterval}`
+  ];
+  if (preset.autoStartBreak !== null) parts.push(preset.autoStartBreak ? "auto breaks" : "manual breaks");
+  if (preset.autoStartFocus !== null) parts.push(preset.autoStartFocus ? "auto focus" : "manual focus");
+  return parts.join(" · ");
+}
+
+// Saves the durations currently in the Timer section under a new name.
+async function addPreset() {
+  const input = document.getElementById("preset-name");
+  const name = input.value.trim();
+  if (!name) {
+    showFeedback("Please enter a name");
+    return;
+  }
+
+  const preset = {
+    id: crypto.randomUUID(),
+    name,
+    focusMinutes: readNumber("focus-input") ?? latestState?.focusMinutes,
+    breakMinutes: readNumber("break-input") ?? latestState?.breakMinutes,
+    longBreakMinutes: readNumber("long-break-input") ?? latestState?.longBreakMinutes,
+    longBreakInterval: readNumber("long-break-interval-input") ?? latestState?.longBreakInterval,
+    autoStartBreak: readFlag("preset-auto-break"),
+    autoStartFocus: readFlag("preset-auto-focus")
+  };
+
+  const previous = settings.presets.items;
+  if (await savePresets({ items: [...previous, preset] }, "Preset saved")) {
+    if (settings.presets.items.length === previous.length) {
+      showFeedback("You can keep up to 12 presets");
+      return;
+    }
+    input.value = "";
+  }
+}
+
+// "" keeps the flow setting as it is when the preset is loaded.
+function readFlag(id) {
+  const { value } = document.getElementById(id);
+  return value === "" ? null : value === "on";
+}
+
+async function savePresets(patch, successMessage) {
+  if (!settings) return false;
+
+  const saved = await saveSettings({ presets: { ...settings.presets, ...patch } }, successMessage);
+  renderPresets();
+  return saved;
+}
+
+async function saveDurations() {
+  const requested = {
+    focusMinutes: readNumber("focus-input"),
+    breakMinutes: readNumber("break-input"),
+    longBreakMinutes: readNumber("long-break-input"),
+    longBreakInterval: readNumber("long-break-interval-input")
+  };
+  const response = await sendMessage({ type: "SET_DURATIONS", ...requested });
+
+  if (response?.state) {
+    latestState = response.state;
+    const capped = requested.focusMinutes < (latestState.pendingDurations?.focusMinutes ?? 0);
+    renderDurations();
+    showFeedback(
+      !isFocusBlockActive(latestState)
+        ? "Durations saved"
+        : capped
+          ? "Focus can only shrink by half per cycle"
+          : "Saved for the next cycle"
+    );
+  } else {
+    showFeedback("Could not save durations");
+  }
+}
+
+// Blocked sites
+
+function renderSites() {
+  const list = document.getElementById("sites-list");
+  // Mirrors the background rule: the blocklist holds for the focus block, like its length.
+  const locked = Boolean(latestState && isFocusBlockActive(latestState));
+  document.getElementById("sites-locked").classList.toggle("hidden", !locked);
+
+  if (blockedSites.length === 0) {
+    list.innerHTML = '<li class="options-empty">No sites blocked.</li>';
+    return;
+  }
+
+  // Sites that came from sync or a backup may not have been granted on this device yet.
+  list.innerHTML = blockedSites.map((site, index) => `
+    <li>
+      <span class="options-grow">${escapeHtml(site)}</span>
+      ${sitesNeedingAccess.includes(site) ? `
+        <span class="options-muted">Not blocked yet</span>
+        <button type="button" class="icon" data-grant="${index}">Allow Access</button>
+      ` : ""}
+      <button type="button" class="danger icon" data-index="${index}" ${locked ? "disabled" : ""}>Remove</button>
+    </li>
+  `).join("");
+
+  list.querySelectorAll("button[data-index]").forEach(btn => {
+    btn.addEventListener("click", async () => {
+      const index = parseInt(btn.getAttribute("data-index"), 10);
+      await saveSites(blockedSites.filter((_, i) => i !== index), "Site removed");
+    });
+  });
+
+  list.querySelectorAll("button[data-grant]").forEach(btn => {
+    btn.addEventListener("click", async () => {
+      const site = blockedSites[parseInt(btn.getAttribute("data-grant"), 10)];
+      if (!(await requestSiteAccess(site))) {
+        showFeedback(`Access to ${site} is needed to block it`);
+        return;
+      }
+      sitesNeedingAccess = sitesNeedingAccess.filter(other => other !== site);
+      renderSites();
+      showFeedback("Access granted");
+    });
+  });
+}
+
+async function addSite() {
+  const input = document.getElementById("site-input");
+  const value = input.value.trim();
+  if (!value) {
+    showFeedback("Please enter a site");
+    return;
+  }
+
+  // Access is asked for before anything else: the request has to come from the click itself.
+  const site = siteHost(value);
+  if (site && !(await requestSiteAccess(site))) {
+    showFeedback(`Access to ${site} is needed to block it`);
+    return;
+  }
+
+  const previousCount = blockedSites.length;
+  if (await saveSites([...blockedSites, value], "Site added")) {
+    if (blockedSites.length === previousCount) {
+      showFeedback("Site is invalid or already blocked");
+      return;
+    }
+    input.value = "";
+  }
+}
+
+function renderIntensity() {
+  if (!settings) return;
+
+  const locked = isBlockingLocked();
+  ["focus", "break"].forEach(phase => {
+    const intensity = settings.intensity[phase];
+    const phaseLocked = locked && phase === "focus";
+    const select = document.getElementById(`intensity-${phase}-mode`);
+    select.value = intensity.mode;
+    select.disabled = phaseLocked;
+    document.querySelectorAll(`[data-intensity="${phase}"][data-effect]`).forEach(input => {
+      input.checked = Boolean(intensity[input.dataset.effect]);
+      input.disabled = phaseLocked || intensity.mode !== "degrade";
+    });
+  });
+  document.getElementById("intensity-locked").classList.toggle("hidden", !locked);
+}
+
+async function saveIntensity(phase) {
+  if (!settings) return;
+
+  const intensity = { mode: document.getElementById(`intensity-${phase}-mode`).value };
+  document.querySelectorAll(`[data-intensity="${phase}"][data-effect]`).forEach(input => {
+    intensity[input.dataset.effect] = input.checked;
+  });
+
+  await saveSettings({ intensity: { ...settings.intensity, [phase]: intensity } }, "Blocking intensity updated");
+  renderIntensity();
+}
+
+function renderRedirect() {
+  if (!settings) return;
+
+  const { urls, order } = settings.redirect;
+  document.getElementById("redirect-order").value = order;
+
+  const list = document.getElementById("redirect-list");
+  if (urls.length === 0) {
+    list.innerHTML = '<li class="options-empty">No redirect pages yet.</li>';
+    return;
+  }
+
+  list.innerHTML = urls.map((url, index) => `
+    <li>
+      <span class="options-grow">${escapeHtml(url)}</span>
+      <button type="button" class="danger icon" data-index="${index}">Remove</button>
+    </li>
+  `).join("");
+
+  list.querySelectorAll("button[data-index]").forEach(btn => {
+    btn.addEventListener("click", async () => {
+      const index = parseInt(btn.getAttribute("data-index"), 10);
+      await saveRedirect({ urls: urls.filter((_, i) => i !== index) }, "Page removed");
+    });
+  });
+}
+
+async function addRedirectUrl() {
+  const input = document.getElementById("redirect-url");
+  const url = input.value.trim();
+  if (!url) {
+    showFeedback("Please enter a URL");
+    return;
+  }
+
+  const previousCount = settings.redirect.urls.length;
+  if (await saveRedirect({ urls: [...settings.redirect.urls, url] }, "Page added")) {
+    if (settings.redirect.urls.length === previousCount) {
+      showFeedback("URL is invalid or already listed");
+      return;
+    }
+    input.value = "";
+  }
+}
+
+async function saveRedirect(patch, successMessage) {
+  if (!settings) return false;
+
+  const saved = await saveSettings({ redirect: { ...settings.redirect, ...patch } }, successMessage);
+  renderRedirect();
+  return saved;
+}
+
+function renderRoutes() {
+  if (!settings) return;
+
+  const { enabled, unmatched, rules } = settings.routes;
+  document.getElementById("routes-enabled").checked = enabled;
+  document.getElementById("routes-unmatched").value = unmatched;
+
+  const locked = isBlockingLocked();
+  ["routes-enabled", "routes-unmatched", "route-path", "route-action", "routes-reset"].forEach(id => {
+    document.getElementById(id).disabled = locked;
+  });
+  document.querySelector("#route-form button[type=submit]").disabled = locked;
+  document.getElementById("routes-locked").classList.toggle("hidden", !locked);
+
+  const list = document.getElementById("routes-list");
+  if (rules.length === 0) {
+    list.innerHTML = '<li class="options-empty">No rules. Every X page follows the setting below.</li>';
+    return;
+  }
+
+  list.innerHTML = rules.map((rule, index) => `
+    <li>
+      <span class="options-grow"><code>${escapeHtml(rule.path)}</code></span>
+      <select data-index="${index}" ${locked ? "disabled" : ""}>
+        <option value="block" ${rule.action === "block" ? "selected" : ""}>Block</option>
+        <option value="allow" ${rule.action === "allow" ? "selected" : ""}>Allow</option>
+      </select>
+      <button type="button" class="danger icon" data-index="${index}" ${locked ? "disabled" : ""}>Remove</button>
+    </li>
+  `).join("");
+
+  list.querySelectorAll("select[data-index]").forEach(select => {
+    select.addEventListener("change", async () => {
+      const index = parseInt(select.getAttribute("data-index"), 10);
+      const updated = rules.map((rule, i) => (i === index ? { ...rule, action: select.value } : rule));
+      await saveRoutes({ rules: updated }, "Rule updated");
+    });
+  });
+
+  list.querySelectorAll("button[data-index]").forEach(btn => {
+    btn.addEventListener("click", async () => {
+      const index = parseInt(btn.getAttribute("data-index"), 10);
+      await saveRoutes({ rules: rules.filter((_, i) => i !== index) }, "Rule removed");
+    });
+  });
+}
+
+async function addRouteRule() {
+  const input = document.getElementById("route-path");
+  const path = input.value.trim();
+  if (!path) {
+    showFeedback("Please enter a path");
+    return;
+  }
+
+  const action = document.getElementById("route-action").value;
+  const previous = settings.routes.rules;
+  if (await saveRoutes({ rules: [...previous, { path, action }] }, "Rule added")) {
+    if (JSON.stringify(settings.routes.rules) === JSON.stringify(previous)) {
+      showFeedback("Path is invalid or already has this rule");
+      return;
+    }
+    input.value = "";
+  }
+}
+
+async function saveRoutes(patch, successMessage) {
+  if (!settings) return false;
+
+  const saved = await saveSettings({ routes: { ...settings.routes, ...patch } }, successMessage);
+  renderRoutes();
+  return saved;
+}
+
+async function saveSites(sites, successMessage) {
+  const response = await sendMessage({ type: "SAVE_BLOCKED_SITES", sites });
+  if (!response?.sites) {
+    showFeedback("Could not save sites");
+    return false;
+  }
+
+  blockedSites = response.sites;
+  sitesNeedingAccess = response.needsAccess ?? [];
+  renderSites();
+  showFeedback(successMessage);
+  return true;
+}
+
+// Hosts are checked again by the background; this is only the origin to ask access for.
+function siteHost(value) {
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`);
+    const host = url.hostname.replace(/^www\./, "");
+    return host.includes(".") ? host : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function requestSiteAccess(site) {
+  try {
+    return await chrome.permissions.request({ origins: [`*://${site}/*`, `*://*.${site}/*`] });
+  } catch (error) {
+    return false;
+  }
+}
+
+// Shortcuts
+
+function renderShortcuts() {
+  const list = document.getElementById("shortcuts-list");
+
+  if (shortcuts.length === 0) {
+    list.innerHTML = '<li class="options-empty">No shortcuts yet.</li>';
+    return;
+  }
+
+  list.innerHTML = shortcuts.map((shortcut, index) => `
+    <li data-index="${index}">
+      <input type="color" class="shortcut-color" value="${escapeHtml(shortcut.color || DEFAULT_SHORTCUT_COLOR)}" title="Color" />
+      <input type="text" class="shortcut-name options-grow" value="${escapeHtml(shortcut.name)}" placeholder="Name" />
+      <input type="url" class="shortcut-url options-grow" value="${escapeHtml(shortcut.url)}" placeholder="URL" />
+      <button type="button" class="icon" data-move="-1" title="Move up" ${index === 0 ? "disabled" : ""}>↑</button>
+      <button type="button" class="icon" data-move="1" title="Move down" ${index === shortcuts.length - 1 ? "disabled" : ""}>↓</button>
+      <button type="button" class="danger icon" data-delete>Delete</button>
+    </li>
+  `).join("");
+
+  list.querySelectorAll("li[data-index]").forEach(item => {
+    const index = parseInt(item.getAttribute("data-index"), 10);
+
+    item.querySelectorAll("input").forEach(input => {
+      input.addEventListener("change", () => updateShortcut(index, item));
+    });
+
+    item.querySelectorAll("button[data-move]").forEach(btn => {
+      btn.addEventListener("click", () => {
+        moveShortcut(index, parseInt(btn.getAttribute("data-move"), 10));
+      });
+    });
+
+    item.querySelector("button[data-delete]").addEventListener("click", () => {
+      saveShortcutList(shortcuts.filter((_, i) => i !== index), "Shortcut deleted");
+    });
+  });
+}
+
+async function addShortcut() {
+  const nameInput = document.getElementById("shortcut-name");
+  const urlInput = document.getElementById("shortcut-url");
+  const colorInput = document.getElementById("shortcut-color");
+
+  const shortcut = validateShortcut(nameInput.value, urlInput.value, colorInput.value);
+  if (!shortcut) return;
+
+  if (await saveShortcutList([...shortcuts, shortcut], "Shortcut added")) {
+    nameInput.value = "";
+    urlInput.value = "";
+    colorInput.value = DEFAULT_SHORTCUT_COLOR;
+  }
+}
+
+async function updateShortcut(index, item) {
+  const shortcut = validateShortcut(
+    item.querySelector(".shortcut-name").value,
+    item.querySelector(".shortcut-url").value,
+    item.querySelector(".shortcut-color").value
+  );
+  if (!shortcut) return;
+
+  const updated = [...shortcuts];
+  updated[index] = shortcut;
+  await saveShortcutList(updated, "Shortcut updated");
+}
+
+async function moveShortcut(index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= shortcuts.length) return;
+
+  const updated = [...shortcuts];
+  const [moved] = updated.splice(index, 1);
+  updated.splice(target, 0, moved);
+  await saveShortcutList(updated, "Shortcut moved");
+}
+
+function validateShortcut(name, url, color) {
+  const trimmedName = name.trim();
+  const trimmedUrl = url.trim();
+
+  if (!trimmedName || !trimmedUrl) {
+    showFeedback("Please enter both name and URL");
+    return null;
+  }
+
+  try {
+    new URL(trimmedUrl);
+  } catch {
+    showFeedback("Please enter a valid URL");
+    return null;
+  }
+
+  return { name: trimmedName, url: trimmedUrl, color: color || DEFAULT_SHORTCUT_COLOR };
+}
+
+async function saveShortcutList(list, successMessage) {
+  const response = await sendMessage({ type: "SAVE_SHORTCUTS", shortcuts: list });
+  if (!response?.shortcuts) {
+    showFeedback("Could not save shortcuts");
+    return false;
+  }
+
+  shortcuts = response.shortcuts;
+  renderShortcuts();
+  showFeedback(successMessage);
+  return true;
+}
+
+// Schedule
+
+function renderDayPicker() {
+  document.getElementById("schedule-days").innerHTML = SCHEDULE_DAYS.map(day => `
+    <label class="options-day">
+      <input type="checkbox" value="${day.value}" ${day.value >= 1 && day.value <= 5 ? "checked" : ""} />
+      <span>${day.label}</span>
+    </label>
+  `).join("");
+}
+
+function renderSchedule() {
+  if (!settings) return;
+
+  document.getElementById("schedule-enabled").checked = settings.schedule.enabled;
+
+  const list = document.getElementById("schedule-list");
+  const windows = settings.schedule.windows;
+
+  if (windows.length === 0) {
+    list.innerHTML = '<li class="options-empty">No focus windows yet.</li>';
+    return;
+  }
+
+  list.innerHTML = windows.map(entry => `
+    <li>
+      <span class="options-grow">${escapeHtml(formatScheduleDays(entry.days))} ${escapeHtml(entry.start)}–${escapeHtml(entry.end)}</span>
+      <button type="button" class="danger icon" data-id="${escapeHtml(entry.id)}">Remove</button>
+    </li>
+  `).join("");
+
+  list.querySelectorAll("button[data-id]").forEach(btn => {
+    btn.addEventListener("click", async () => {
+      const id = btn.getAttribute("data-id");
+      await saveSchedule(
+        { windows: settings.schedule.windows.filter(entry => entry.id !== id) },
+        "Window removed"
+      );
+    });
+  });
+}
+
+async function addScheduleWindow() {
+  if (!settings) return;
+
+  const days = Array.from(document.querySelectorAll("#schedule-days input"))
+    .filter(input => input.checked)
+    .map(input => Number(input.value));
+  const start = document.getElementById("schedule-start").value;
+  const end = document.getElementById("schedule-end").value;
+
+  if (days.length === 0) {
+    showFeedback("Pick at least one day");
+    return;
+  }
+
+  if (!start || !end || end <= start) {
+    showFeedback("End time must be after start time");
+    return;
+  }
+
+  await saveSchedule(
+    { windows: [...settings.schedule.windows, { days, start, end }] },
+    "Window added"
+  );
+}
+
+async function saveSchedule(patch, successMessage) {
+  if (!settings) return;
+  await saveSettings({ schedule: { ...settings.schedule, ...patch } }, successMessage);
+  renderSchedule();
+}
+
+function formatScheduleDays(days) {
+  const key = [...days].sort().join(",");
+  if (key === "1,2,3,4,5") return "Mon–Fri";
+  if (key === "0,6") return "Weekends";
+  if (key === "0,1,2,3,4,5,6") return "Every day";
+
+  return SCHEDULE_DAYS
+    .filter(day => days.includes(day.value))
+    .map(day => day.label)
+    .join(", ");
+}
+
+// Mirrors the background rule: with commitment mode on, nothing that keeps a site blocked can be
+// loosened while the focus block runs.
+function isBlockingLocked() {
+  return Boolean(settings?.commitment.enabled && latestState && isFocusBlockActive(latestState));
+}
+
+function renderCommitment() {
+  if (!settings) return;
+
+  const { enabled, method, waitSeconds, phrase } = settings.commitment;
+  // Mirrors the background rule: no weakening while the focus block it protects runs.
+  const locked =
+    enabled &&
+    latestState?.phase === "focus" &&
+    (latestState.status === "running" || latestState.status === "paused");
+
+  document.getElementById("commitment-enabled").checked = enabled;
+  document.getElementById("commitment-method").value = method;
+  updateInput("commitment-wait", waitSeconds);
+  updateInput("commitment-phrase", phrase);
+
+  ["commitment-enabled", "commitment-method", "commitment-wait", "commitment-phrase"].forEach(id => {
+    document.getElementById(id).disabled = locked;
+  });
+  document.getElementById("commitment-wait").disabled = locked || method === "phrase";
+  document.getElementById("commitment-phrase").disabled = locked || method === "wait";
+  document.getElementById("commitment-locked").classList.toggle("hidden", !locked);
+}
+
+async function saveCommitment() {
+  if (!settings) return;
+
+  const commitment = {
+    enabled: document.getElementById("commitment-enabled").checked,
+    method: document.getElementById("commitment-method").value,
+    waitSeconds: readNumber("commitment-wait") ?? settings.commitment.waitSeconds,
+    phrase: document.getElementById("commitment-phrase").value
+  };
+
+  await saveSettings({ commitment }, "Commitment mode updated");
+  renderCommitment();
+}
+
+function renderLimits() {
+  if (!settings) return;
+
+  const { enabled, maxPauses, maxMinutes } = settings.pauseBudget;
+  // Mirrors the background rule: the budget (and its reset time) hold for the focus block.
+  const locked =
+    enabled &&
+    latestState?.phase === "focus" &&
+    (latestState.status === "running" || latestState.status === "paused");
+
+  updateInput("daily-reset", settings.dailyReset);
+  document.getElementById("pause-budget-enabled").checked = enabled;
+  updateInput("pause-budget-pauses", maxPauses);
+  updateInput("pause-budget-minutes", maxMinutes);
+
+  ["daily-reset", "pause-budget-enabled", "pause-budget-pauses", "pause-budget-minutes"].forEach(id => {
+    document.getElementById(id).disabled = locked;
+  });
+  document.getElementById("pause-budget-locked").classList.toggle("hidden", !locked);
+
+  const breakBudget = settings.breakBudget;
+  document.getElementById("break-budget-enabled").checked = breakBudget.enabled;
+  document.getElementById("break-budget-unit").value = breakBudget.unit;
+  updateInput("break-budget-scroll", breakBudget.scrollLimit);
+  updateInput("break-budget-minutes", breakBudget.dailyMinutes);
+
+  document.getElementById("idle-allowance-enabled").checked = settings.idleAllowance.enabled;
+  updateInput("idle-allowance-minutes", settings.idleAllowance.dailyMinutes);
+}
+
+async function saveLimits() {
+  if (!settings) return;
+
+  const pauseBudget = {
+    enabled: document.getElementById("pause-budget-enabled").checked,
+    maxPauses: readCount("pause-budget-pauses") ?? settings.pauseBudget.maxPauses,
+    maxMinutes: readCount("pause-budget-minutes") ?? settings.pauseBudget.maxMinutes
+  };
+  const breakBudget = {
+    enabled: document.getElementById("break-budget-enabled").checked,
+    unit: document.getElementById("break-budget-unit").value,
+    scrollLimit: readCount("break-budget-scroll") ?? settings.breakBudget.scrollLimit,
+    dailyMinutes: readCount("break-budget-minutes") ?? settings.breakBudget.dailyMinutes
+  };
+  const idleAllowance = {
+    enabled: document.getElementById("idle-allowance-enabled").checked,
+    dailyMinutes: readCount("idle-allowance-minutes") ?? settings.idleAllowance.dailyMinutes
+  };
+  const dailyReset = document.getElementById("daily-reset").value || settings.dailyReset;
+
+  await saveSettings({ dailyReset, pauseBudget, breakBudget, idleAllowance }, "Daily limits updated");
+  renderLimits();
+}
+
+function renderNotifications() {
+  if (!settings) return;
+
+  document.querySelectorAll("[data-notification]").forEach(input => {
+    input.checked = Boolean(settings.notifications[input.dataset.notification]);
+  });
+}
+
+async function saveNotifications() {
+  if (!settings) return;
+
+  const notifications = {};
+  document.querySelectorAll("[data-notification]").forEach(input => {
+    notifications[input.dataset.notification] = input.checked;
+  });
+
+  await saveSettings({ notifications }, "Notifications updated");
+  renderNotifications();
+}
+
+function renderSync() {
+  if (!settings) return;
+
+  document.querySelectorAll("[data-sync]").forEach(input => {
+    input.checked = Boolean(settings.sync[input.dataset.sync]);
+  });
+  document.querySelector('[data-sync="session"]').disabled = !settings.sync.enabled;
+}
+
+async function saveSync() {
+  if (!settings) return;
+
+  const sync = {};
+  document.querySelectorAll("[data-sync]").forEach(input => {
+    sync[input.dataset.sync] = input.checked;
+  });
+
+  await saveSettings({ sync }, sync.enabled ? "Sync updated" : "Sync turned off");
+  renderSync();
+  await renderSyncStatus();
+}
+
+async function renderSyncStatus() {
+  const element = document.getElementById("sync-status");
+  if (!settings?.sync.enabled) {
+    element.textContent = "";
+    return;
+  }
+
+  const response = await sendMessage({ type: "GET_SYNC_STATUS" });
+  const status = response?.status;
+  if (!status) {
+    element.textContent = "";
+    return;
+  }
+
+  const parts = [];
+  if (status.error) {
+    parts.push(`Last sync failed: ${status.error}`);
+  } else if (status.lastSyncedAt) {
+    parts.push(`Last synced ${new Date(status.lastSyncedAt).toLocaleString()}`);
+  } else {
+    parts.push("Waiting for the first sync");
+  }
+
+  if (status.bytesInUse !== null) {
+    parts.push(`${Math.ceil(status.bytesInUse / 1024)} KB of ${Math.floor(status.quotaBytes / 1024)} KB used`);
+  }
+
+  element.textContent = parts.join(" · ");
+}
+
+async function renderCommands() {
+  let commands = [];
+  try {
+    commands = await chrome.commands.getAll();
+  } catch (error) {
+    // Commands API unavailable - show the empty state
+  }
+
+  const list = document.getElementById("commands-list");
+  const described = commands.filter(command => command.description);
+
+  if (described.length === 0) {
+    list.innerHTML = '<li class="options-empty">No keyboard shortcuts available.</li>';
+    return;
+  }
+
+  list.innerHTML = described.map(command => `
+    <li>
+      <span class="options-grow">${escapeHtml(command.description)}</span>
+      <kbd class="options-key">${escapeHtml(command.shortcut || "Not set")}</kbd>
+    </li>
+  `).join("");
+}
+
+async function exportData() {
+  const response = await sendMessage({ type: "EXPORT_DATA" });
+  if (!response?.bundle) {
+    showFeedback("Could not export data");
+    return;
+  }
+
+  const blob = new Blob([JSON.stringify(response.bundle, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `x-underclass-backup-${response.bundle.exportedAt.slice(0, 10)}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+async function previewImport(file) {
+  let bundle;
+  try {
+    bundle = JSON.parse(await file.text());
+  } catch (error) {
+    showFeedback("That file isn't valid JSON");
+    return;
+  }
+
+  const response = await sendMessage({ type: "PREVIEW_IMPORT", bundle });
+  if (!response?.preview) {
+    hideImportPreview();
+    showFeedback(response?.error ?? "Could not read the backup");
+    return;
+  }
+
+  pendingImport = bundle;
+  renderImportPreview(response.preview);
+}
+
+function renderImportPreview(preview) {
+  const rows = [];
+
+  if (preview.exportedAt) {
+    rows.push(`Exported ${new Date(preview.exportedAt).toLocaleString()}`);
+  }
+
+  if (preview.durations) {
+    const { focusMinutes, breakMinutes, longBreakMinutes, longBreakInterval } = preview.durations;
+    rows.push(
+      `Timer: ${focusMinutes}m focus, ${breakMinutes}m break, ${longBreakMinutes}m long break every ${longBreakInterval}`
+    );
+  }
+
+  if (preview.hasSettings) {
+    rows.push("Schedule and notification settings (replace yours)");
+  }
+
+  rows.push(`${preview.blockedSites} blocked sites (added to yours)`);
+  rows.push(`${preview.shortcuts} break shortcuts, ${preview.newShortcuts} not already saved`);
+  rows.push(`${preview.history} history segments, ${preview.newHistory} new`);
+
+  document.getElementById("import-summary").innerHTML = rows
+    .map(row => `<li>${escapeHtml(row)}</li>`)
+    .join("");
+  document.getElementById("import-preview").classList.remove("hidden");
+}
+
+async function confirmImport() {
+  if (!pendingImport) return;
+
+  const shortcutMode = document.querySelector('input[name="shortcut-mode"]:checked').value;
+  const response = await sendMessage({ type: "IMPORT_DATA", bundle: pendingImport, shortcutMode });
+
+  if (!response?.result) {
+    showFeedback(response?.error ?? "Could not import the backup");
+    return;
+  }
+
+  hideImportPreview();
+  await loadAll();
+  showFeedback("Backup imported");
+}
+
+function hideImportPreview() {
+  pendingImport = null;
+  document.getElementById("import-preview").classList.add("hidden");
+}
+
+// Shared helpers
+
+async function saveSettings(patch, successMessage) {
+  const response = await sendMessage({ type: "SAVE_SETTINGS", settings: patch });
+  if (!response?.settings) {
+    showFeedback("Could not save settings");
+    return false;
+  }
+
+  settings = response.settings;
+  showFeedback(successMessage);
+  return true;
+}
+
+function readNumber(id) {
+  const parsed = Number(document.getElementById(id).value);
+  return Number.isFinite(parsed) && parsed > 0 ? Math.round(parsed) : undefined;
+}
+
+// Like readNumber, but zero is allowed (a budget of nothing).
+function readCount(id) {
+  const { value } = document.getElementById(id);
+  const parsed = Number(value);
+  return value !== "" && Number.isFinite(parsed) && parsed >= 0 ? Math.round(parsed) : undefined;
+}
+
+function updateInput(id, value) {
+  const input = document.getElementById(id);
+  if (!input || document.activeElement === input) return;
+  input.value = value;
+}
+
+function showFeedback(message) {
+  const feedback = document.getElementById("feedback");
+  feedback.textContent = message;
+  feedback.classList.add("visible");
+
+  if (feedbackTimer) {
+    clearTimeout(feedbackTimer);
+  }
+
+  feedbackTimer = setTimeout(() => {
+    feedback.classList.remove("visible");
+  }, 1500);
+}
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+function sendMessage(message) {
+  return new Promise(resolve => {
+    try {
+      chrome.runtime.sendMessage(message, response => {
+        if (chrome.runtime.lastError) {
+          resolve(null);
+          return;
+        }
+        resolve(response ?? null);
+      });
+    } catch (error) {
+      resolve(null);
+    }
+  });
+}
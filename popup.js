@@ -0,0 +1,515 @@
+// Toolbar popup with the timer and session controls, usable from any tab.
+
+let latestState = null;
+let activeTab = null;
+let isActionInProgress = false;
+let feedbackTimer = null;
+let elements = null;
+let pendingChallenge = null;
+let challengeTimer = null;
+let pauseBudget = null;
+let presets = [];
+let tasks = [];
+let reflectionRating = null;
+let reflectionKey = null;
+
+document.addEventListener("DOMContentLoaded", initialize);
+
+async function initialize() {
+  cacheElements();
+  attachEventHandlers();
+
+  latestState = (await dispatch("GET_STATE")) ?? DEFAULT_FALLBACK_STATE;
+  const settingsResponse = await sendMessage({ type: "GET_SETTINGS" });
+  presets = settingsResponse?.settings?.presets?.items ?? [];
+  tasks = (await sendMessage({ type: "GET_TASKS" }))?.tasks ?? [];
+  render(latestState);
+  loadPauseBudget();
+
+  chrome.runtime.onMessage.addListener(message => {
+    if (message?.type === "STATE_UPDATED" && message.state) {
+      latestState = message.state;
+      render(latestState);
+      loadPauseBudget();
+    } else if (message?.type === "SETTINGS_UPDATED" && message.settings) {
+      presets = message.settings.presets?.items ?? [];
+      render(latestState);
+    } else if (message?.type === "TASKS_UPDATED") {
+      tasks = message.tasks ?? [];
+      render(latestState);
+    }
+  });
+
+  setInterval(() => renderCountdown(latestState), 1000);
+
+  activeTab = await getActiveTab();
+  const sites = await sendMessage({ type: "GET_BLOCKED_SITES" });
+  toggleHidden(
+    elements.showControlsButton,
+    !activeTab || !isBlockedUrl(activeTab.url, sites?.sites ?? [])
+  );
+}
+
+function cacheElements() {
+  elements = {
+    status: document.getElementById("status"),
+    cycle: document.getElementById("cycle"),
+    countdown: document.getElementById("countdown"),
+    presets: document.getElementById("presets"),
+    focusInput: document.getElementById("focus-input"),
+    breakInput: document.getElementById("break-input"),
+    longBreakInput: document.getElementById("long-break-input"),
+    longBreakIntervalInput: document.getElementById("long-break-interval-input"),
+    durationsLocked: document.getElementById("durations-locked"),
+    intention: document.getElementById("intention"),
+    intentionInput: document.getElementById("intention-input"),
+    task: document.getElementById("task"),
+    taskSelect: document.getElementById("task-select"),
+    reflection: document.getElementById("reflection"),
+    reflectionFinished: document.getElementById("reflection-finished"),
+    reflectionRatings: document.querySelectorAll("#reflection-rating [data-rating]"),
+    reflectionNotes: document.getElementById("reflection-notes"),
+    saveReflectionButton: document.getElementById("save-reflection"),
+    feedback: document.getElementById("feedback"),
+    startButton: document.querySelector('[data-action="start"]'),
+    startBreakButton: document.querySelector('[data-action="start-break"]'),
+    endFocusButton: document.querySelector('[data-action="end-focus"]'),
+    pauseButton: document.querySelector('[data-action="pause"]'),
+    resumeButton: document.querySelector('[data-action="resume"]'),
+    stopButton: document.querySelector('[data-action="stop"]'),
+    pauseBudget: document.getElementById("pause-budget"),
+    showControlsButton: document.getElementById("show-controls"),
+    openStatsButton: document.getElementById("open-stats"),
+    openOptionsButton: document.getElementById("open-options"),
+    commitment: document.getElementById("commitment"),
+    commitmentText: document.getElementById("commitment-text"),
+    commitmentPhrase: document.getElementById("commitment-phrase"),
+    commitmentInput: document.getElementById("commitment-input"),
+    commitmentConfirm: document.getElementById("commitment-confirm"),
+    commitmentCancel: document.getElementById("commitment-cancel")
+  };
+}
+
+function attachEventHandlers() {
+  [
+    elements.focusInput,
+    elements.breakInput,
+    elements.longBreakInput,
+    elements.longBreakIntervalInput
+  ].forEach(input => {
+    input.addEventListener("change", async () => {
+      const requested = readDurationInputs();
+      const state = await runAction("SET_DURATIONS", requested);
+      if (state) showFeedback(describeDurationSave(requested, state));
+    });
+  });
+
+  elements.presets.addEventListener("click", async event => {
+    const button = event.target.closest("[data-preset]");
+    if (!button) return;
+    const preset = presets.find(item => item.id === button.dataset.preset);
+    const state = await runAction("APPLY_PRESET", { presetId: button.dataset.preset });
+    if (state && preset) {
+      showFeedback(isFocusBlockActive(state) ? `${preset.name} saved for the next cycle` : `${preset.name} loaded`);
+    }
+  });
+
+  elements.startButton.addEventListener("click", async () => {
+    await startSession();
+  });
+
+  elements.intentionInput.addEventListener("keydown", async event => {
+    if (event.key === "Enter") await startSession();
+  });
+
+  elements.reflectionRatings.forEach(button => {
+    button.addEventListener("click", () => {
+      const rating = Number(button.dataset.rating);
+      reflectionRating = reflectionRating === rating ? null : rating;
+      renderReflectionRating();
+    });
+  });
+
+  elements.saveReflectionButton.addEventListener("click", async () => {
+    const reflection = {
+      finished: elements.reflectionFinished.checked,
+      rating: reflectionRating,
+      notes: elements.reflectionNotes.value
+    };
+    await runAction("SAVE_REFLECTION", { reflection }, "Reflection saved");
+  });
+
+  elements.startBreakButton.addEventListener("click", async () => {
+    await runAction("START_BREAK");
+  });
+
+  elements.endFocusButton.addEventListener("click", async () => {
+    await requestEscape("end");
+  });
+
+  elements.pauseButton.addEventListener("click", async () => {
+    await requestEscape("pause");
+  });
+
+  elements.resumeButton.addEventListener("click", async () => {
+    await runAction("RESUME_SESSION");
+  });
+
+  elements.stopButton.addEventListener("click", async () => {
+    await requestEscape("stop");
+  });
+
+  elements.commitmentInput.addEventListener("input", renderChallenge);
+  blockPasting(elements.commitmentInput);
+
+  elements.commitmentConfirm.addEventListener("click", async () => {
+    if (!pendingChallenge) return;
+    const { id, action } = pendingChallenge;
+    const state = await runAction(ESCAPES[action].type, {
+      challengeId: id,
+      phrase: elements.commitmentInput.value
+    });
+    if (state) hideChallenge();
+  });
+
+  elements.commitmentCancel.addEventListener("click", async () => {
+    await dismissChallenge();
+  });
+
+  elements.showControlsButton.addEventListener("click", async () => {
+    if (!activeTab?.id) return;
+    const response = await sendMessage({ type: "SHOW_CONTROLS", tabId: activeTab.id });
+    if (response?.shown) {
+      window.close();
+    } else {
+      showFeedback("Reload the tab to show the overlay");
+    }
+  });
+
+  elements.openStatsButton.addEventListener("click", async () => {
+    await sendMessage({ type: "OPEN_STATS" });
+    window.close();
+  });
+
+  elements.openOptionsButton.addEventListener("click", () => {
+    chrome.runtime.openOptionsPage();
+    window.close();
+  });
+}
+
+async function runAction(type, payload = {}, successMessage = null) {
+  if (isActionInProgress) return;
+  isActionInProgress = true;
+  setButtonsDisabled(true);
+
+  const response = await sendMessage({ type, ...payload });
+  const state = response?.state ?? null;
+  if (state) {
+    latestState = state;
+    render(state);
+    if (successMessage) showFeedback(successMessage);
+  } else {
+    showFeedback(response?.error ?? "Something went wrong - try again");
+  }
+
+  isActionInProgress = false;
+  setButtonsDisabled(false);
+  return state;
+}
+
+function render(state) {
+  // Edits made during focus are queued; show what the next cycle will use.
+  const durations = { ...state, ...state.pendingDurations };
+  updateInput(elements.focusInput, durations.focusMinutes);
+  updateInput(elements.breakInput, durations.breakMinutes);
+  updateInput(elements.longBreakInput, durations.longBreakMinutes);
+  updateInput(elements.longBreakIntervalInput, durations.longBreakInterval);
+  renderPresets(durations);
+
+  elements.durationsLocked.textContent = describeDurationLock(state);
+  toggleHidden(elements.durationsLocked, !isFocusBlockActive(state));
+
+  elements.status.textContent = describeState(state);
+  elements.cycle.textContent = describeCycle(state);
+  toggleHidden(elements.cycle, state.status === "idle");
+
+  const isRunningFocus = state.status === "running" && state.phase === "focus";
+  const isBreakRunning = state.status === "running" && state.phase === "break";
+  const isBreakReady = state.status === "break_ready";
+  const isPaused = state.status === "paused";
+  const isIdle = state.status === "idle";
+  const isFocusReady = state.status === "focus_ready";
+
+  toggleHidden(elements.startButton, !isIdle && !isFocusReady);
+  toggleHidden(elements.intentionInput, !isIdle && !isFocusReady);
+  updateInput(elements.intentionInput, state.intention ?? "");
+  elements.intention.textContent = state.intention ? `Working on: ${state.intention}` : "";
+  toggleHidden(elements.intention, !state.intention || isIdle);
+  renderReflection(state);
+  renderTasks(state);
+  toggleHidden(elements.startBreakButton, !isBreakReady);
+  toggleHidden(elements.endFocusButton, !isFlowtimeFocus(state) || (!isRunningFocus && !isPaused));
+  toggleHidden(elements.pauseButton, !isRunningFocus);
+  toggleHidden(elements.resumeButton, !isPaused);
+  toggleHidden(elements.stopButton, isIdle && !isBreakReady && !isBreakRunning);
+
+  // The focus block the confirmation was about has ended on its own.
+  if (pendingChallenge && !(state.phase === "focus" && (isRunningFocus || isPaused))) {
+    dismissChallenge();
+  }
+
+  renderCountdown(state);
+}
+
+function startSession() {
+  return runAction("START_SESSION", {
+    ...readDurationInputs(),
+    intention: elements.intentionInput.value,
+    taskId: elements.taskSelect.value
+  });
+}
+
+// Open tasks can be linked when focus starts; they are added and completed in the overlay.
+function renderTasks(state) {
+  const openTasks = tasks.filter(task => !task.done);
+  const canStart = state.status === "idle" || state.status === "focus_ready";
+  const select = elements.taskSelect;
+
+  if (document.activeElement !== select) {
+    const selected = openTasks.some(task => task.id === select.value) ? select.value : state.taskId ?? "";
+    select.replaceChildren(new Option("No task", ""), ...openTasks.map(task => new Option(task.title, task.id)));
+    select.value = openTasks.some(task => task.id === selected) ? selected : "";
+  }
+  toggleHidden(select, !canStart || openTasks.length === 0);
+
+  const task = tasks.find(item => item.id === state.taskId);
+  elements.task.textContent = task ? `Task: ${task.title} · ${describePomodoros(task.pomodoros)}` : "";
+  toggleHidden(elements.task, !task || state.status === "idle");
+}
+
+// Asked for the whole break, including one that started by itself, until the reflection is saved.
+function renderReflection(state) {
+  const key = `${state.sessionId}:${state.cycle}`;
+  const due = state.phase === "break" && state.status !== "idle" && state.reflectedCycle !== state.cycle;
+  toggleHidden(elements.reflection, !due);
+  if (!due || key === reflectionKey) return;
+
+  reflectionKey = key;
+  reflectionRating = null;
+  elements.reflectionFinished.checked = false;
+  elements.reflectionNotes.value = "";
+  renderReflectionRating();
+}
+
+function renderReflectionRating() {
+  elements.reflectionRatings.forEach(button => {
+    button.setAttribute("aria-pressed", String(Number(button.dataset.rating) === reflectionRating));
+  });
+}
+
+async function loadPauseBudget() {
+  const response = await sendMessage({ type: "GET_PAUSE_BUDGET" });
+  pauseBudget = response?.budget ?? null;
+  renderPauseBudget(latestState);
+}
+
+function renderPauseBudget(state) {
+  const text = describePauseBudget(pauseBudget, state);
+  elements.pauseBudget.textContent = text;
+  toggleHidden(elements.pauseBudget, !text);
+  elements.pauseButton.disabled = isActionInProgress || isPauseBudgetExhausted(pauseBudget);
+}
+
+async function requestEscape(action) {
+  if (isActionInProgress) return;
+
+  const response = await sendMessage({ type: "REQUEST_ESCAPE", action });
+  if (response?.error) {
+    showFeedback(response.error);
+    return;
+  }
+  if (!response?.challenge) {
+    await runAction(ESCAPES[action].type);
+    return;
+  }
+
+  pendingChallenge = response.challenge;
+  elements.commitmentInput.value = "";
+  elements.commitmentText.textContent = describeChallenge(pendingChallenge);
+  elements.commitmentPhrase.textContent = describeChallengePhrase(pendingChallenge);
+  toggleHidden(elements.commitmentPhrase, !pendingChallenge.phrase);
+  toggleHidden(elements.commitmentInput, !pendingChallenge.phrase);
+  toggleHidden(elements.commitment, false);
+
+  if (challengeTimer) clearInterval(challengeTimer);
+  challengeTimer = setInterval(renderChallenge, 250);
+  renderChallenge();
+}
+
+function renderChallenge() {
+  if (!pendingChallenge) return;
+
+  const confirm = describeChallengeConfirm(pendingChallenge, elements.commitmentInput.value);
+  elements.commitmentConfirm.textContent = confirm.label;
+  elements.commitmentConfirm.disabled = confirm.disabled;
+}
+
+async function dismissChallenge() {
+  if (!pendingChallenge) return;
+
+  const { id } = pendingChallenge;
+  hideChallenge();
+  await sendMessage({ type: "CANCEL_ESCAPE", challengeId: id });
+}
+
+function hideChallenge() {
+  pendingChallenge = null;
+  clearInterval(challengeTimer);
+  challengeTimer = null;
+  toggleHidden(elements.commitment, true);
+}
+
+function renderCountdown(state) {
+  elements.countdown.textContent = formatRemaining(state);
+  renderPauseBudget(state);
+}
+
+// One button per preset; the one matching the (queued) durations is highlighted.
+function renderPresets(durations) {
+  toggleHidden(elements.presets, presets.length === 0);
+  elements.presets.replaceChildren(
+    ...presets.map(preset => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.dataset.preset = preset.id;
+      button.textContent = preset.name;
+      button.title = `${preset.focusMinutes}/${preset.breakMinutes}, long break ${preset.longBreakMinutes} every ${preset.longBreakInterval}`;
+      button.classList.toggle("active", matchesPreset(preset, durations));
+      return button;
+    })
+  );
+}
+
+function describeState(state) {
+  if (state.status === "running" && isFlowtimeFocus(state)) {
+    return "Flowtime focus - end it when you're ready";
+  }
+
+  if (state.status === "running" && state.phase === "focus") {
+    return "Focus session running";
+  }
+
+  if (state.status === "running" && state.phase === "break") {
+    return isLongBreak(state) ? "Long break in progress" : "Break in progress";
+  }
+
+  if (state.status === "paused") {
+    return "Session paused";
+  }
+
+  if (state.status === "break_ready") {
+    return isLongBreak(state) ? "Focus complete - long break earned" : "Focus complete";
+  }
+
+  if (state.status === "focus_ready") {
+    return "Break over - start focus when ready";
+  }
+
+  return "Idle";
+}
+
+function readDurationInputs() {
+  return {
+    focusMinutes: sanitizeMinutes(elements.focusInput.value, latestState?.focusMinutes),
+    breakMinutes: sanitizeMinutes(elements.breakInput.value, latestState?.breakMinutes),
+    longBreakMinutes: sanitizeMinutes(
+      elements.longBreakInput.value,
+      latestState?.longBreakMinutes ?? DEFAULT_FALLBACK_STATE.longBreakMinutes
+    ),
+    longBreakInterval: sanitizeMinutes(
+      elements.longBreakIntervalInput.value,
+      latestState?.longBreakInterval ?? DEFAULT_FALLBACK_STATE.longBreakInterval
+    )
+  };
+}
+
+function updateInput(input, value) {
+  if (!input) return;
+  if (document.activeElement === input) return;
+  input.value = value;
+}
+
+function toggleHidden(element, hidden) {
+  if (!element) return;
+  element.classList.toggle("hidden", Boolean(hidden));
+}
+
+function setButtonsDisabled(disabled) {
+  [
+    elements.startButton,
+    elements.startBreakButton,
+    elements.endFocusButton,
+    elements.pauseButton,
+    elements.resumeButton,
+    elements.stopButton
+  ].forEach(btn => {
+    btn.disabled = disabled;
+  });
+  if (!disabled && isPauseBudgetExhausted(pauseBudget)) {
+    elements.pauseButton.disabled = true;
+  }
+}
+
+function showFeedback(message) {
+  elements.feedback.textContent = message;
+
+  if (feedbackTimer) {
+    clearTimeout(feedbackTimer);
+  }
+
+  feedbackTimer = setTimeout(() => {
+    elements.feedback.textContent = "";
+  }, 1500);
+}
+
+// Mirrors the background's host matching so the overlay button only shows on blocked sites.
+function isBlockedUrl(url, sites) {
+  let parsed;
+  try {
+    parsed = new URL(url ?? "");
+  } catch (error) {
+    return false;
+  }
+
+  if (parsed.protocol !== "https:" && parsed.protocol !== "http:") return false;
+  return sites.some(site => parsed.hostname === site || parsed.hostname.endsWith(`.${site}`));
+}
+
+async function getActiveTab() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    return tab ?? null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function dispatch(type, payload = {}) {
+  return sendMessage({ type, ...payload }).then(response => response?.state ?? null);
+}
+
+function sendMessage(message) {
+  return new Promise(resolve => {
+    try {
+      chrome.runtime.sendMessage(message, response => {
+        if (chrome.runtime.lastError) {
+          resolve(null);
+          return;
+        }
+        resolve(response ?? null);
+      });
+    } catch (error) {
+      resolve(null);
+    }
+  });
+}
@@ -0,0 +1,375 @@
+// Statistics page summarizing the focus/break history recorded by the background worker.
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const RECENT_SEGMENT_COUNT = 25;
+const RECENT_ATTEMPT_COUNT = 10;
+const RECENT_TAMPER_COUNT = 10;
+const RECENT_REFLECTION_COUNT = 15;
+
+const OUTCOME_LABELS = {
+  completed: "Completed",
+  paused: "Paused",
+  aborted: "Aborted",
+  window_end: "Schedule ended"
+};
+
+const ATTEMPT_ACTIONS = {
+  pause: "Pause",
+  stop: "Stop",
+  end: "End focus"
+};
+
+// Commitment-mode attempt outcomes; only "completed" means the block was actually broken.
+const ATTEMPT_LABELS = {
+  pending: "In progress",
+  completed: "Gave in",
+  cancelled: "Kept focusing",
+  abandoned: "Walked away",
+  expired: "Let it expire",
+  refused: "Blocked"
+};
+
+// What was done to the overlay during focus; the extension put it back each time.
+const TAMPER_LABELS = {
+  removed: "Removed it",
+  hidden: "Hid it",
+  restyled: "Restyled it"
+};
+
+document.addEventListener("DOMContentLoaded", initialize);
+
+async function initialize() {
+  document.getElementById("clear-history").addEventListener("click", async () => {
+    if (!confirm("Delete all recorded focus history, commitment attempts and tamper attempts? This cannot be undone.")) return;
+    await sendMessage({ type: "CLEAR_HISTORY" });
+    await render();
+  });
+
+  // Every transition that records history also broadcasts the new state.
+  chrome.runtime.onMessage.addListener(message => {
+    if (message?.type === "STATE_UPDATED" || message?.type === "TASKS_UPDATED") {
+      render();
+    }
+  });
+
+  await render();
+}
+
+async function render() {
+  const [historyResponse, eventsResponse, tasksResponse] = await Promise.all([
+    sendMessage({ type: "GET_HISTORY" }),
+    sendMessage({ type: "GET_EVENTS" }),
+    sendMessage({ type: "GET_TASKS" })
+  ]);
+  const history = historyResponse?.history ?? [];
+  const events = eventsResponse?.events ?? [];
+  const attempts = events.filter(event => event.type === "commitment");
+  const tampers = events.filter(event => event.type === "tamper");
+  const blocks = groupFocusBlocks(history);
+  const now = new Date();
+
+  renderSummary(history, now);
+  renderRatingSummary(blocks, now);
+  renderAttemptSummary(attempts, now);
+  renderTamperSummary(tampers, now);
+  renderDailyBars(history, now);
+  renderWeeklyBars(history, now);
+  renderRecentSegments(history);
+  renderTasks(tasksResponse?.tasks ?? []);
+  renderRecentReflections(blocks);
+  renderRecentAttempts(attempts);
+  renderRecentTampers(tampers);
+}
+
+function renderSummary(history, now) {
+  const todayStart = startOfDay(now).getTime();
+  const weekStart = startOfWeek(now).getTime();
+  const monthAgo = todayStart - 29 * MS_PER_DAY;
+
+  const focus = history.filter(entry => entry.phase === "focus");
+  const breaks = history.filter(entry => entry.phase === "break");
+
+  const focusToday = sumDurations(focus.filter(entry => entry.start >= todayStart));
+  const focusWeek = sumDurations(focus.filter(entry => entry.start >= weekStart));
+
+  const recentFocus = focus.filter(entry => entry.start >= monthAgo);
+  const completed = recentFocus.filter(entry => entry.outcome === "completed");
+  const aborted = recentFocus.filter(entry => entry.outcome === "aborted");
+  const finished = completed.length + aborted.length;
+
+  const activeDays = new Set(recentFocus.map(entry => startOfDay(new Date(entry.start)).getTime()));
+  const completedBreaks = breaks.filter(entry => entry.outcome === "completed");
+
+  setText("stat-today", formatDuration(focusToday));
+  setText("stat-week", formatDuration(focusWeek));
+  setText(
+    "stat-completion",
+    finished > 0 ? `${Math.round((completed.length / finished) * 100)}%` : "—"
+  );
+  setText(
+    "stat-daily-average",
+    formatDuration(activeDays.size > 0 ? sumDurations(recentFocus) / activeDays.size : 0)
+  );
+  setText("stat-block-average", formatDuration(average(completed)));
+  setText("stat-break-average", formatDuration(average(completedBreaks)));
+}
+
+// A focus block paused along the way is recorded as several segments; the intention is on each
+// of them and the reflection on the last one.
+function groupFocusBlocks(history) {
+  const blocks = new Map();
+
+  for (const entry of history) {
+    if (entry.phase !== "focus" || !entry.sessionId) continue;
+
+    const key = `${entry.sessionId}:${entry.cycle}`;
+    const block = blocks.get(key) ?? { start: entry.start, intention: null, reflection: null };
+    block.intention = entry.intention ?? block.intention;
+    block.reflection = entry.reflection ?? block.reflection;
+    blocks.set(key, block);
+  }
+
+  return [...blocks.values()];
+}
+
+function renderRatingSummary(blocks, now) {
+  const monthAgo = startOfDay(now).getTime() - 29 * MS_PER_DAY;
+  const ratings = blocks
+    .filter(block => block.start >= monthAgo && block.reflection?.rating)
+    .map(block => block.reflection.rating);
+
+  setText(
+    "stat-rating",
+    ratings.length > 0 ? `${(ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length).toFixed(1)} / 5` : "—"
+  );
+}
+
+function renderAttemptSummary(attempts, now) {
+  const monthAgo = startOfDay(now).getTime() - 29 * MS_PER_DAY;
+  const recent = attempts.filter(attempt => attempt.at >= monthAgo && attempt.outcome !== "pending");
+  const held = recent.filter(attempt => attempt.outcome !== "completed");
+
+  setText("stat-attempts", String(recent.length));
+  setText("stat-held", recent.length > 0 ? `${Math.round((held.length / recent.length) * 100)}%` : "—");
+}
+
+function renderTamperSummary(tampers, now) {
+  const monthAgo = startOfDay(now).getTime() - 29 * MS_PER_DAY;
+  setText("stat-tampers", String(tampers.filter(tamper => tamper.at >= monthAgo).length));
+}
+
+function renderDailyBars(history, now) {
+  const todayStart = startOfDay(now);
+  const buckets = [];
+
+  for (let offset = 6; offset >= 0; offset--) {
+    const start = addDays(todayStart, -offset);
+    const end = addDays(start, 1);
+    buckets.push({
+      label: start.toLocaleDateString(undefined, { weekday: "short" }),
+      totalMs: sumFocusBetween(history, start.getTime(), end.getTime())
+    });
+  }
+
+  renderBars(document.getElementById("daily-bars"), buckets);
+}
+
+function renderWeeklyBars(history, now) {
+  const weekStart = startOfWeek(now);
+  const buckets = [];
+
+  for (let offset = 7; offset >= 0; offset--) {
+    const start = addDays(weekStart, -offset * 7);
+    const end = addDays(start, 7);
+    buckets.push({
+      label: start.toLocaleDateString(undefined, { month: "short", day: "numeric" }),
+      totalMs: sumFocusBetween(history, start.getTime(), end.getTime())
+    });
+  }
+
+  renderBars(document.getElementById("weekly-bars"), buckets);
+}
+
+function renderBars(container, buckets) {
+  const maxMs = Math.max(...buckets.map(bucket => bucket.totalMs), 1);
+
+  container.innerHTML = buckets.map(bucket => {
+    const height = Math.round((bucket.totalMs / maxMs) * 100);
+    return `
+      <div class="stats-bar" title="${escapeHtml(bucket.label)}: ${formatDuration(bucket.totalMs)}">
+        <span class="stats-bar-value">${formatDuration(bucket.totalMs)}</span>
+        <div class="stats-bar-fill" style="height: ${height}%;"></div>
+        <span class="stats-bar-label">${escapeHtml(bucket.label)}</span>
+      </div>
+    `;
+  }).join("");
+}
+
+function renderRecentSegments(history) {
+  const tbody = document.getElementById("recent-segments");
+  const recent = history.slice(-RECENT_SEGMENT_COUNT).reverse();
+
+  if (recent.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="5" class="stats-empty">No sessions recorded yet.</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = recent.map(entry => `
+    <tr>
+      <td>${escapeHtml(new Date(entry.start).toLocaleString())}</td>
+      <td>${entry.phase === "focus" ? "Focus" : "Break"}</td>
+      <td>${formatDuration(entry.durationMs)}</td>
+      <td>${entry.plannedMs === null ? "Open" : formatDuration(entry.plannedMs)}</td>
+      <td class="stats-outcome-${escapeHtml(entry.outcome)}">${escapeHtml(OUTCOME_LABELS[entry.outcome] ?? entry.outcome)}</td>
+    </tr>
+  `).join("");
+}
+
+// Tasks are kept in the overlay's order, open ones first.
+function renderTasks(tasks) {
+  const tbody = document.getElementById("task-list");
+  const sorted = [...tasks.filter(task => !task.done), ...tasks.filter(task => task.done)];
+
+  if (sorted.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="4" class="stats-empty">No tasks yet. Add them in the overlay settings.</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = sorted.map(task => `
+    <tr>
+      <td>${escapeHtml(task.title)}</td>
+      <td>${task.done ? "Done" : "Open"}</td>
+      <td>${task.pomodoros}</td>
+      <td>${task.completedAt ? escapeHtml(new Date(task.completedAt).toLocaleDateString()) : "—"}</td>
+    </tr>
+  `).join("");
+}
+
+function renderRecentReflections(blocks) {
+  const tbody = document.getElementById("recent-reflections");
+  const recent = blocks
+    .filter(block => block.intention || block.reflection)
+    .slice(-RECENT_REFLECTION_COUNT)
+    .reverse();
+
+  if (recent.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="5" class="stats-empty">No intentions or reflections recorded yet.</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = recent.map(({ start, intention, reflection }) => `
+    <tr>
+      <td>${escapeHtml(new Date(start).toLocaleString())}</td>
+      <td>${escapeHtml(intention ?? "—")}</td>
+      <td>${reflection ? (reflection.finished ? "Yes" : "No") : "—"}</td>
+      <td>${reflection?.rating ? `${reflection.rating} / 5` : "—"}</td>
+      <td>${escapeHtml(reflection?.notes || "—")}</td>
+    </tr>
+  `).join("");
+}
+
+function renderRecentAttempts(attempts) {
+  const tbody = document.getElementById("recent-attempts");
+  const recent = attempts.slice(-RECENT_ATTEMPT_COUNT).reverse();
+
+  if (recent.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="4" class="stats-empty">No attempts recorded.</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = recent.map(attempt => `
+    <tr>
+      <td>${escapeHtml(new Date(attempt.at).toLocaleString())}</td>
+      <td>${escapeHtml(ATTEMPT_ACTIONS[attempt.action] ?? attempt.action)}</td>
+      <td>${attempt.failedTries ?? 0}</td>
+      <td class="stats-attempt-${attempt.outcome === "completed" ? "gave-in" : "held"}">${escapeHtml(ATTEMPT_LABELS[attempt.outcome] ?? attempt.outcome)}</td>
+    </tr>
+  `).join("");
+}
+
+function renderRecentTampers(tampers) {
+  const tbody = document.getElementById("recent-tampers");
+  const recent = tampers.slice(-RECENT_TAMPER_COUNT).reverse();
+
+  if (recent.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="3" class="stats-empty">No tamper attempts recorded.</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = recent.map(tamper => `
+    <tr>
+      <td>${escapeHtml(new Date(tamper.at).toLocaleString())}</td>
+      <td>${escapeHtml(tamper.site ?? "—")}</td>
+      <td class="stats-attempt-held">${escapeHtml(TAMPER_LABELS[tamper.kind] ?? tamper.kind)}</td>
+    </tr>
+  `).join("");
+}
+
+function sumFocusBetween(history, start, end) {
+  return sumDurations(
+    history.filter(entry => entry.phase === "focus" && entry.start >= start && entry.start < end)
+  );
+}
+
+function sumDurations(entries) {
+  return entries.reduce((total, entry) => total + (entry.durationMs || 0), 0);
+}
+
+function average(entries) {
+  return entries.length > 0 ? sumDurations(entries) / entries.length : 0;
+}
+
+function startOfDay(date) {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  return start;
+}
+
+// Weeks start on Monday.
+function startOfWeek(date) {
+  const start = startOfDay(date);
+  const daysSinceMonday = (start.getDay() + 6) % 7;
+  return addDays(start, -daysSinceMonday);
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+function formatDuration(ms) {
+  const totalMinutes = Math.round((ms || 0) / MS_PER_MINUTE);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  if (hours === 0) return `${minutes}m`;
+  return `${hours}h ${String(minutes).padStart(2, "0")}m`;
+}
+
+function setText(id, text) {
+  const element = document.getElementById(id);
+  if (element) element.textContent = text;
+}
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+function sendMessage(message) {
+  return new Promise(resolve => {
+    try {
+      chrome.runtime.sendMessage(message, response => {
+        if (chrome.runtime.lastError) {
+          resolve(null);
+          return;
+        }
+        resolve(response ?? null);
+      });
+    } catch (error) {
+      resolve(null);
+    }
+  });
+}
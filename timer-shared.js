@@ -0,0 +1,169 @@
+// Timer state and formatting helpers shared by the overlay, the popup, the options page and the
+// focus page. It is loaded as a plain script ahead of each of them, so everything here is global.
+
+const DEFAULT_FALLBACK_STATE = {
+  status: "idle",
+  phase: "focus",
+  focusMinutes: 25,
+  breakMinutes: 5,
+  longBreakMinutes: 15,
+  longBreakInterval: 4,
+  cycle: 1
+};
+
+function isFocusBlockActive(state) {
+  return state.phase === "focus" && (state.status === "running" || state.status === "paused");
+}
+
+function isFlowtimeFocus(state) {
+  return state?.focusMode === "flowtime" && state.phase === "focus";
+}
+
+// Mirrors the background rule: every `longBreakInterval`-th focus cycle earns the long break.
+function isLongBreak(state) {
+  const interval = state?.longBreakInterval ?? DEFAULT_FALLBACK_STATE.longBreakInterval;
+  return (state?.cycle ?? 1) % interval === 0;
+}
+
+function breakMinutesFor(state) {
+  return isLongBreak(state)
+    ? state.longBreakMinutes ?? DEFAULT_FALLBACK_STATE.longBreakMinutes
+    : state.breakMinutes ?? DEFAULT_FALLBACK_STATE.breakMinutes;
+}
+
+function describeCycle(state) {
+  const interval = state.longBreakInterval ?? DEFAULT_FALLBACK_STATE.longBreakInterval;
+  const position = ((Math.max(1, state.cycle ?? 1) - 1) % interval) + 1;
+  return `Cycle ${position} of ${interval}`;
+}
+
+function describeDurationLock(state) {
+  if (!state || !isFocusBlockActive(state)) return "";
+  return `Locked while focusing: this block stays ${state.focusMinutes} min. Changes apply from the next cycle, and focus can shrink by at most half per cycle.`;
+}
+
+// The background queues edits made during focus and caps cuts to the focus length.
+function describeDurationSave(requested, state) {
+  if (!isFocusBlockActive(state)) return "Durations saved";
+  const queuedFocus = state.pendingDurations?.focusMinutes ?? state.focusMinutes;
+  return requested.focusMinutes < queuedFocus
+    ? "Focus can only shrink by half per cycle"
+    : "Saved for the next cycle";
+}
+
+function describePomodoros(count) {
+  return count === 1 ? "1 pomodoro" : `${count} pomodoros`;
+}
+
+function matchesPreset(preset, durations) {
+  return ["focusMinutes", "breakMinutes", "longBreakMinutes", "longBreakInterval"].every(
+    key => preset[key] === durations[key]
+  );
+}
+
+function formatRemaining(state) {
+  if (!state) return "--:--";
+
+  // Flowtime focus counts up from the start of the block.
+  if (isFlowtimeFocus(state)) {
+    if (state.status === "running") return formatMs(Date.now() - (state.cycleStart ?? Date.now()));
+    if (state.status === "paused") return formatMs(state.elapsedMs ?? 0);
+    if (state.status === "focus_ready") return formatMs(0);
+  }
+
+  if (state.status === "paused") {
+    return formatMs(state.remainingMs ?? 0);
+  }
+
+  if (state.status === "break_ready") {
+    return formatMs(state.remainingMs ?? toMs(breakMinutesFor(state)));
+  }
+
+  if (state.status === "focus_ready") {
+    return formatMs(state.remainingMs ?? toMs(state.focusMinutes));
+  }
+
+  if (state.status === "running" && state.nextTransition) {
+    return formatMs(Math.max(0, state.nextTransition - Date.now()));
+  }
+
+  return "--:--";
+}
+
+function formatMs(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${String(minutes).padStart(2, "0")}:${String(seconds).padStart(2, "0")}`;
+}
+
+function toMs(minutes) {
+  const parsed = Number(minutes);
+  return Math.max(1, Math.round(parsed || 0)) * 60 * 1000;
+}
+
+function sanitizeMinutes(value, fallback) {
+  const parsed = Number(value);
+  if (Number.isFinite(parsed) && parsed > 0) {
+    return Math.round(parsed);
+  }
+  return fallback ?? DEFAULT_FALLBACK_STATE.focusMinutes;
+}
+
+function formatTimeOfDay(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+}
+
+// A used-up pause budget keeps Pause disabled; the background would refuse it anyway.
+function isPauseBudgetExhausted(budget) {
+  return Boolean(budget?.enabled && (budget.pausesLeft <= 0 || budget.msLeft <= 0));
+}
+
+function describePauseBudget(budget, state) {
+  if (!budget?.enabled || !state || !isFocusBlockActive(state)) return "";
+
+  if (state.status === "paused" && state.pauseDeadline) {
+    return `Pause budget: resumes by itself in ${formatMs(state.pauseDeadline - Date.now())}`;
+  }
+
+  if (isPauseBudgetExhausted(budget)) {
+    return `No pauses left today · resets at ${formatTimeOfDay(budget.resetsAt)}`;
+  }
+
+  const minutesLeft = Math.floor(budget.msLeft / 60000);
+  return `Pauses left today: ${budget.pausesLeft} of ${budget.maxPauses} · ${minutesLeft} of ${budget.maxMinutes} min`;
+}
+
+// Commitment mode: the background decides whether pausing, stopping or ending focus early needs a
+// challenge. The overlay and the popup show the same confirmation, worded here.
+const ESCAPES = {
+  pause: { type: "PAUSE_SESSION", verb: "Pause", text: "Pausing breaks your focus block." },
+  stop: { type: "STOP_SESSION", verb: "Stop", text: "Stopping ends your focus block." },
+  end: { type: "END_FOCUS", verb: "End", text: "Ending now cuts your focus block short." }
+};
+
+function describeChallenge(challenge) {
+  return `Commitment mode is on. ${ESCAPES[challenge.action].text}`;
+}
+
+function describeChallengePhrase(challenge) {
+  return challenge.phrase ? `Type: “${challenge.phrase}”` : "";
+}
+
+// The confirm button counts down the wait, then unlocks once the phrase (if any) is typed.
+function describeChallengeConfirm(challenge, typedPhrase) {
+  const waitMs = challenge.readyAt - Date.now();
+  const { verb } = ESCAPES[challenge.action];
+  const typed = !challenge.phrase || typedPhrase.trim().length > 0;
+
+  return {
+    label: waitMs > 0 ? `${verb} in ${Math.ceil(waitMs / 1000)}s` : `${verb} anyway`,
+    disabled: waitMs > 0 || !typed
+  };
+}
+
+// The phrase has to be typed, not pasted.
+function blockPasting(input) {
+  input.addEventListener("paste", event => event.preventDefault());
+  input.addEventListener("drop", event => event.preventDefault());
+}